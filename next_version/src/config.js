@@ -1,4 +1,4 @@
 module.exports = {
   supportedServerlessVersion: '0.5',
-  supportedRuntimes: ['nodejs', 'nodejs4.3', 'babel'/*, 'python2.7'*/],
+  supportedRuntimes: ['nodejs', 'nodejs4.3', 'babel', 'python2.7'],
 };
@@ -4,8 +4,10 @@ const log = require('./utils/log');
 const logDebug = require('./utils/logDebug');
 const logWarning = require('./utils/logWarning');
 const logAndExit = require('./utils/logAndExit');
+// Content negotiation is shared with the current version
+const negotiateContentType = require('../../src/negotiateContentType');
 
-module.exports = function createLambdaCallback(fun, endpoint, requestId, response) {
+module.exports = function createLambdaCallback(fun, endpoint, requestId, response, request) {
   
   return function callback(error, data) {
     // Everything in this block happens once the lambda function has resolved
@@ -38,7 +40,7 @@ module.exports = function createLambdaCallback(fun, endpoint, requestId, respons
       // Mocks Lambda errors
       result = { 
         errorMessage,
-        errorType: error.constructor.name,
+        errorType: error.errorType || error.constructor.name,
         stackTrace: _getArrayStackTrace(error.stack)
       };
       
@@ -127,8 +129,8 @@ module.exports = function createLambdaCallback(fun, endpoint, requestId, respons
       
       if (responseTemplatesKeys.length) {
         
-        // BAD IMPLEMENTATION: first key in responseTemplates
-        const templateName = responseTemplatesKeys[0];
+        // Like APIG, the template (and Content-Type) is chosen from the Accept header
+        const templateName = negotiateContentType(request && request.headers.accept, responseTemplatesKeys);
         const responseTemplate = responseTemplates[templateName];
         
         responseContentType = templateName;
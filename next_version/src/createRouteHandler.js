@@ -1,5 +1,6 @@
 'use strict';
 
+const store = require('./state/store');
 const ac = require('./state/actionCreators');
 
 const createApigContext = require('./createApigContext');
@@ -17,7 +18,7 @@ module.exports = function createRouteHandler(fun, endpoint, funOptions, noTimeou
   const funName = fun.name;
   const funTimeout = (fun.timeout || 6) * 1000;
   const method = endpoint.method.toUpperCase();
-  const loadAndCallHandler = require(`runtimes/${fun.runtime}/loadAndCallHandler`);
+  const loadAndCallHandler = require(`./runtimes/${fun.runtime}/loadAndCallHandler`);
     
   let isFirstCall = true;
   
@@ -68,12 +69,14 @@ module.exports = function createRouteHandler(fun, endpoint, funOptions, noTimeou
     logDebug('event:', lambdaEvent);
     
     // The Lambda callback is responsible for calling the HTTP response
-    const lambdaCallback = createLambdaCallback();
+    const lambdaCallback = createLambdaCallback(fun, endpoint, requestId, response, request);
     
     // We cannot use Hapijs's timeout feature because the logic above can take a significant time, so we implement it ourselves
+    // Each request has its own timeout, it is ignored once the request is done
     let timeout;
     if (!noTimeout) timeout = setTimeout(() => {
-      // if (this.currentRequestId !== requestId) return; //TODO: test that shit
+      if (store.getState().requests[requestId].done) return;
+      
       log(`Replying timeout after ${funTimeout}ms`);
       
       ac.markRequestDone({ requestId });
@@ -83,13 +86,13 @@ module.exports = function createRouteHandler(fun, endpoint, funOptions, noTimeou
       response.send();
     }, funTimeout);
     
-    ac.createRequest({ requestId, timeout });
+    ac.createRequest({ requestId, timeout, funName });
     
     // Finally we call the handler
     logDebug('_____ CALLING HANDLER _____');
     
     try {
-      loadAndCallHandler(funName, funOptions.handlerPath, funOptions.handlerParts, lambdaEvent, lambdaCallback);
+      loadAndCallHandler(fun, funOptions.handlerPath, funOptions.handlerName, lambdaEvent, lambdaCallback);
     } 
     catch(err) {
       return reply500(err, requestId, response);
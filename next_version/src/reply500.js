@@ -18,7 +18,7 @@ module.exports = function reply500(err, requestId, response) {
   response.statusCode = 200; // APIG replies 200 by default on failures
   response.source = {
     errorMessage: message,
-    errorType: err.constructor.name,
+    errorType: err.errorType || err.constructor.name,
     stackTrace,
     offlineInfo: 'If you believe this is an issue with the plugin please submit it, thanks. https://github.com/dherault/serverless-offline/issues',
   };
@@ -1,9 +1,18 @@
 'use strict';
 
-module.exports = function loadAndCallHandler(fun, handlerPath, handlerName, event, callback) {
-  
-  const eventJSON = JSON.stringify(event);
-  
-  // shim
-  return null;
+const isPlainObject = require('lodash.isplainobject');
+
+const getState = require('../../state/store').getState;
+// The python bridge is shared with the current version
+const invokePythonHandler = require('../../../../src/invokePythonHandler');
+
+module.exports = function loadAndCallHandlerForPython(fun, handlerPath, handlerName, event, callback) {
+
+  // Env vars are given to the interpreter only, without the ones the last node handler set on process.env
+  const env = Object.assign({}, process.env);
+  for (let key in getState().environment) {
+    delete env[key];
+  }
+
+  return invokePythonHandler(fun, handlerPath, handlerName, event, Object.assign(env, isPlainObject(fun.environment) ? fun.environment : {}), callback);
 };
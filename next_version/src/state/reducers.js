@@ -2,24 +2,29 @@
 
 module.exports = {
   
-  requests: (state, action) => { // impure
+  // Maps a request id to its own state, so concurrent requests never share bookkeeping
+  requests: (state, action) => { // impure: clears timeouts
     
     switch (action.type) {
       case 'CREATE_REQUEST':
-        return Object.assign({
+        return Object.assign({}, state, {
           [action.params.requestId]: {
             done: false,
+            funName: action.params.funName,
             startTime: Date.now(),
             timeout: action.params.timeout,
           }
-        }, state);
+        });
       
       case 'MARK_REQUEST_DONE': {
-        const newState = Object.assign({}, state);
+        const request = state[action.params.requestId];
         
-        newState[action.params.requestId].done = true;
-        clearTimeout(newState[action.params.requestId].timeout);
-        return newState;
+        if (!request) return state;
+        
+        clearTimeout(request.timeout);
+        return Object.assign({}, state, {
+          [action.params.requestId]: Object.assign({}, request, { done: true, endTime: Date.now() }),
+        });
       }
       
       default:
@@ -34,6 +34,7 @@ let options = null,
 	S = null,
 	project = null,
 	compiler = null,
+	watching = null,
 	compilationCallbacks = [];
 
 // the state, false: bundle invalid, true: bundle valid
@@ -216,7 +217,7 @@ function makeCompiler() {
 	log('webpack: First compilation');
 	compiler.run(makeWebpackCallback(false));
 	log('webpack: Watching');
-	compiler.watch({},makeWebpackCallback(true));
+	watching = compiler.watch({},makeWebpackCallback(true));
 
 
 	compiler.plugin("invalid", invalidPlugin);
@@ -346,6 +347,13 @@ function makeResolver() {
 		resolveWhenReady,
 		resolve(funName) {
 			return new Promise(resolveHandler(funName));
+		},
+		// Stops watching
+		close(callback) {
+			if (!watching) return callback();
+
+			watching.close(callback);
+			watching = null;
 		}
 	};
 
@@ -0,0 +1,50 @@
+'use strict';
+
+const streams = [process.stdout, process.stderr];
+const captures = []; // The ongoing captures, they all get whatever is written
+let originalWrites = null;
+
+/*
+  Captures what is written on stdout and stderr until the returned function is called, which returns it
+  Handlers share the plugin's output: concurrent captures get each other's
+*/
+module.exports = function captureOutput() {
+
+  const capture = { output: '' };
+
+  if (!captures.length) hookStreams();
+  captures.push(capture);
+
+  return function stopCapture() {
+    const index = captures.indexOf(capture);
+
+    if (index !== -1) {
+      captures.splice(index, 1);
+      if (!captures.length) unhookStreams();
+    }
+
+    return capture.output;
+  };
+};
+
+function hookStreams() {
+
+  originalWrites = streams.map(stream => stream.write);
+
+  streams.forEach((stream, i) => {
+    stream.write = function write(chunk) {
+      captures.forEach(capture => capture.output += chunk.toString());
+
+      return originalWrites[i].apply(stream, arguments);
+    };
+  });
+}
+
+function unhookStreams() {
+
+  streams.forEach((stream, i) => {
+    stream.write = originalWrites[i];
+  });
+
+  originalWrites = null;
+}
@@ -0,0 +1,100 @@
+'use strict';
+
+/*
+  Entry point of the child processes spawned by createWorkerPool
+  Receives invocation messages over IPC, calls the handler and sends back its result
+*/
+
+// One-line coffee-script support
+require('coffee-script/register');
+
+const captureOutput = require('./captureOutput');
+const createLambdaContext = require('./createLambdaContext');
+
+let babelRegister;
+
+// Errors do not survive IPC serialization, we send their meaningful parts
+// offlineMessage tells the parent process to reply 500 instead of selecting a response
+function serializeError(err, offlineMessage) {
+  if (!err || typeof err !== 'object') return { message: err, offlineMessage };
+
+  return {
+    message: err.message,
+    name: err.name || err.constructor.name,
+    stack: err.stack,
+    offlineMessage,
+  };
+}
+
+// A result that cannot be serialized (circular, ...) fails the invocation
+// The parent process is gone when a message cannot be sent: there is nothing left to do
+function send(message) {
+
+  const exitOnError = err => {
+    if (err) process.exit(1);
+  };
+
+  try {
+    process.send(message, exitOnError);
+  }
+  catch (err) {
+    process.send({ id: message.id, data: null, error: serializeError(err, 'Could not send the handler\'s result to the plugin'), output: message.output }, exitOnError);
+  }
+}
+
+process.on('message', message => {
+
+  const id = message.id;
+  let isDone = false;
+
+  // The process runs one invocation at a time: its output is the handler's
+  const stopCapture = message.shouldCaptureOutput && captureOutput();
+
+  const done = (err, data, offlineMessage) => {
+    if (isDone) return console.log(`Serverless: Warning: context.done called twice within handler '${message.fun.name}'!`);
+
+    isDone = true;
+    send({ id, data, error: err ? serializeError(err, offlineMessage) : null, output: stopCapture ? stopCapture() : undefined });
+  };
+
+  // Babel options can vary from handler to handler, we re-set them at each invocation
+  if (message.babelOptions) {
+    if (!babelRegister) babelRegister = require('babel-register');
+    babelRegister(message.babelOptions);
+  }
+
+  if (!message.skipCacheInvalidation) {
+    for (let key in require.cache) {
+      // Require cache invalidation, brutal and fragile.
+      if (!key.match('node_modules')) delete require.cache[key];
+    }
+  }
+
+  let handler;
+
+  try {
+    handler = require(message.handlerPath)[message.handlerName];
+    if (typeof handler !== 'function') throw new Error(`Serverless-offline: handler for '${message.fun.name}' is not a function`);
+  }
+  catch (err) {
+    return done(err, null, `Error while loading ${message.fun.name}`);
+  }
+
+  const lambdaContext = createLambdaContext(message.fun, done);
+
+  try {
+    const x = handler(message.event, lambdaContext, lambdaContext.done);
+
+    // Promise support
+    if (message.isBabelRuntime && !isDone) {
+      if (x && typeof x.then === 'function' && typeof x.catch === 'function') x
+        .then(lambdaContext.succeed)
+        .catch(lambdaContext.fail);
+      else if (x instanceof Error) lambdaContext.fail(x);
+      else lambdaContext.succeed(x);
+    }
+  }
+  catch (err) {
+    done(err, null, `Uncaught error in your '${message.fun.name}' handler`);
+  }
+});
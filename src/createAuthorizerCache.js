@@ -0,0 +1,43 @@
+'use strict';
+
+/*
+  In-memory cache of custom authorizers' results
+  Like APIG, results are keyed by authorizer and identity (the token, or the identity sources' values)
+  and expire after authorizerResultTtlInSeconds
+*/
+module.exports = function createAuthorizerCache() {
+
+  let entries = {};
+
+  const createKey = (funName, identity) => `${funName}|${identity}`;
+
+  return {
+
+    get(funName, identity) {
+      const key = createKey(funName, identity);
+      const entry = entries[key];
+
+      if (!entry) return;
+
+      if (entry.expirationTime <= Date.now()) {
+        delete entries[key];
+        return;
+      }
+
+      return entry.result;
+    },
+
+    set(funName, identity, result, ttlInSeconds) {
+      if (!(ttlInSeconds > 0)) return;
+
+      entries[createKey(funName, identity)] = {
+        result,
+        expirationTime: Date.now() + ttlInSeconds * 1000,
+      };
+    },
+
+    clear() {
+      entries = {};
+    },
+  };
+};
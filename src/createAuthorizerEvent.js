@@ -0,0 +1,60 @@
+'use strict';
+
+const getRequestParameter = require('./getRequestParameter');
+const createLambdaProxyEvent = require('./createLambdaProxyEvent');
+
+/*
+  Returns the event of a custom authorizer and the identity it was built from,
+  or null when the identity source is missing from the request (APIG then replies 401 without calling the authorizer)
+  http://docs.aws.amazon.com/apigateway/latest/developerguide/use-custom-authorizer.html
+*/
+module.exports = function createAuthorizerEvent(request, authorizer, methodArn, options, resource) {
+
+  const type = (authorizer.type || 'TOKEN').toUpperCase();
+  const identitySources = (authorizer.identitySource || 'method.request.header.Authorization').split(',').map(x => x.trim());
+  const identityValues = [];
+
+  for (let i = 0; i < identitySources.length; i++) {
+    // identitySource looks like "method.request.header.Authorization" or "method.request.querystring.token"
+    const identityValue = getRequestParameter(request, identitySources[i]);
+
+    if (!identityValue) return null;
+
+    identityValues.push(identityValue);
+  }
+
+  if (type === 'TOKEN') {
+    const authorizationToken = identityValues[0];
+    const validationExpression = authorizer.identityValidationExpression;
+
+    if (validationExpression && !new RegExp(`^${validationExpression}$`).test(authorizationToken)) return null;
+
+    return {
+      identity: authorizationToken,
+      event: {
+        type,
+        authorizationToken,
+        methodArn,
+      },
+    };
+  }
+
+  // REQUEST authorizers receive the same data as lambda-proxy handlers
+  const proxyEvent = createLambdaProxyEvent(request, options, resource);
+
+  return {
+    identity: identityValues.join(','),
+    event: {
+      type,
+      methodArn,
+      resource: proxyEvent.resource,
+      path: proxyEvent.path,
+      httpMethod: proxyEvent.httpMethod,
+      headers: proxyEvent.headers,
+      queryStringParameters: proxyEvent.queryStringParameters,
+      pathParameters: proxyEvent.pathParameters,
+      stageVariables: proxyEvent.stageVariables,
+      requestContext: proxyEvent.requestContext,
+    },
+  };
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const debugLog = require('./debugLog');
+
+// s-function.json, s-templates.json and their YAML versions
+const configFileRegex = /^s-(function|templates)\.(json|ya?ml)$/;
+
+// Not worth watching: dependencies, project variables (not hot reloaded), dotfiles
+const ignoredDirectories = ['node_modules', '_meta'];
+
+/*
+  Watches the configuration files of a project's functions, calls onChange once the changes are over
+  fs.watch is not recursive on every platform, so each directory gets its own watcher
+*/
+module.exports = function createConfigWatcher(rootPath, onChange) {
+
+  const watchers = {}; // Maps a directory to its watcher
+  let timeout = null;
+  let isScanned = false; // Once the initial scan is over
+
+  function scheduleChange(fileName) {
+    debugLog(`Configuration change: ${fileName}`);
+    clearTimeout(timeout);
+
+    // Editors often write files in several steps
+    timeout = setTimeout(onChange, 200);
+  }
+
+  function watchDirectory(directory) {
+    if (watchers[directory]) return;
+
+    try {
+      watchers[directory] = fs.watch(directory, (eventType, fileName) => {
+        if (!fileName) return scheduleChange(directory);
+
+        if (configFileRegex.test(fileName)) return scheduleChange(path.join(directory, fileName));
+
+        if (eventType !== 'rename') return;
+
+        const filePath = path.join(directory, fileName);
+
+        // A removed directory may have held functions, a new one may hold some
+        if (watchers[filePath] && !fs.existsSync(filePath)) {
+          Object.keys(watchers).filter(x => x === filePath || x.startsWith(filePath + path.sep)).forEach(unwatchDirectory);
+          scheduleChange(filePath);
+        }
+        else scan(directory, false);
+      });
+
+      // Removed directories close their watchers
+      watchers[directory].on('error', () => unwatchDirectory(directory));
+    }
+    catch (err) {
+      debugLog(`Could not watch ${directory}: ${err.message}`);
+    }
+  }
+
+  function unwatchDirectory(directory) {
+    if (!watchers[directory]) return;
+
+    watchers[directory].close();
+    delete watchers[directory];
+  }
+
+  // New directories (found once the initial scan is over) may come with their configuration files
+  function scan(directory, isNew) {
+    let fileNames;
+
+    try {
+      fileNames = fs.readdirSync(directory);
+    }
+    catch (err) {
+      return unwatchDirectory(directory);
+    }
+
+    watchDirectory(directory);
+
+    fileNames.forEach(fileName => {
+      if (fileName.startsWith('.') || ignoredDirectories.indexOf(fileName) !== -1) return;
+
+      const filePath = path.join(directory, fileName);
+
+      if (configFileRegex.test(fileName)) {
+        if (isNew) scheduleChange(filePath);
+        return;
+      }
+
+      let isDirectory = false;
+
+      try {
+        isDirectory = fs.statSync(filePath).isDirectory();
+      }
+      catch (err) {
+        // Removed in the meantime
+      }
+
+      if (isDirectory && !watchers[filePath]) scan(filePath, isScanned);
+    });
+  }
+
+  scan(rootPath, false);
+  isScanned = true;
+
+  return {
+    close() {
+      clearTimeout(timeout);
+      Object.keys(watchers).forEach(unwatchDirectory);
+    },
+  };
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+// What APIG allows when an endpoint's cors is just true
+const defaultHeaders = ['Content-Type', 'X-Amz-Date', 'Authorization', 'X-Api-Key', 'X-Amz-Security-Token', 'X-Amz-User-Agent'];
+
+/*
+  Returns the CORS headers APIG replies with for an endpoint's cors config:
+  true or { origins: ['*'], headers: ['Content-Type'], allowCredentials: false, maxAge: 86400 }
+  Preflight headers are added when the allowed methods are given
+*/
+module.exports = function createCorsHeaders(cors, requestOrigin, methods) {
+
+  const config = cors === true ? {} : cors;
+  const origins = toArray(config.origins || config.origin || '*');
+
+  // APIG replies with a static origin, when several are allowed we echo the request's one if it is among them
+  const allowOrigin = origins.indexOf(requestOrigin) !== -1 ? requestOrigin :
+    origins.indexOf('*') !== -1 ? '*' : origins[0];
+
+  const headers = {
+    'Access-Control-Allow-Origin': allowOrigin,
+  };
+
+  if (config.allowCredentials) headers['Access-Control-Allow-Credentials'] = 'true';
+
+  if (methods) {
+    headers['Access-Control-Allow-Headers'] = toArray(config.headers || defaultHeaders).join(',');
+    headers['Access-Control-Allow-Methods'] = methods.join(',');
+
+    if (config.maxAge) headers['Access-Control-Max-Age'] = String(config.maxAge);
+  }
+
+  return headers;
+};
+
+function toArray(x) {
+  return Array.isArray(x) ? x : String(x).split(',').map(y => y.trim());
+}
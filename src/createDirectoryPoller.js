@@ -0,0 +1,87 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/*
+  Polls a directory tree, calls onChange('created' or 'removed', key, stats) for its files
+  Keys are the files' paths relative to the directory, with "/" separators. Dotfiles are ignored (editors' temporary files)
+  Like uploads, created and updated files are reported once, when their size and modification time stop changing
+*/
+module.exports = function createDirectoryPoller(directory, interval, onChange) {
+
+  const files = listFiles(directory, ''); // The reported files, existing ones are not reported
+  const pendingFiles = {};                 // Created or updated files, until they stop changing
+
+  const isSame = (a, b) => a.size === b.size && a.mtime.getTime() === b.mtime.getTime();
+
+  function poll() {
+
+    const currentFiles = listFiles(directory, '');
+
+    Object.keys(currentFiles).forEach(key => {
+      const stats = currentFiles[key];
+
+      if (files[key] && isSame(files[key], stats)) {
+        delete pendingFiles[key];
+        return;
+      }
+
+      if (pendingFiles[key] && isSame(pendingFiles[key], stats)) {
+        delete pendingFiles[key];
+        files[key] = stats;
+
+        return onChange('created', key, stats);
+      }
+
+      pendingFiles[key] = stats;
+    });
+
+    Object.keys(pendingFiles).filter(key => !currentFiles[key]).forEach(key => delete pendingFiles[key]);
+
+    Object.keys(files).filter(key => !currentFiles[key]).forEach(key => {
+      delete files[key];
+      onChange('removed', key, null);
+    });
+  }
+
+  const timer = setInterval(poll, interval);
+
+  return {
+    close() {
+      clearInterval(timer);
+    },
+  };
+};
+
+// A missing directory is an empty one
+function listFiles(directory, prefix) {
+
+  let fileNames = [];
+  let files = {};
+
+  try {
+    fileNames = fs.readdirSync(path.join(directory, prefix));
+  }
+  catch (err) {
+    // Removed in the meantime
+  }
+
+  fileNames.filter(fileName => !fileName.startsWith('.')).forEach(fileName => {
+
+    const key = prefix ? `${prefix}/${fileName}` : fileName;
+    let stats;
+
+    try {
+      stats = fs.statSync(path.join(directory, key));
+    }
+    catch (err) {
+      return; // Removed in the meantime
+    }
+
+    if (stats.isDirectory()) files = Object.assign(files, listFiles(directory, key));
+    else if (stats.isFile()) files[key] = stats;
+  });
+
+  return files;
+}
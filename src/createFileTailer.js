@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+
+/*
+  Polls a file, calls onLines(lines) with the lines appended to it, like "tail -f"
+  The file's current lines are read at once, a missing file is an empty one, a truncated file is read again
+  Lines are reported once complete (followed by a newline), blank ones are ignored
+*/
+module.exports = function createFileTailer(filePath, interval, onLines) {
+
+  let offset = 0;                  // Bytes read so far
+  let partialLine = new Buffer(0); // The incomplete last line, its last character can be incomplete too
+
+  // Returns the new lines
+  function read() {
+
+    let size;
+
+    try {
+      size = fs.statSync(filePath).size;
+    }
+    catch (err) {
+      size = 0; // Not created yet, or removed
+    }
+
+    if (size < offset) {
+      offset = 0;
+      partialLine = new Buffer(0);
+    }
+
+    if (size === offset) return [];
+
+    const buffer = new Buffer(size - offset);
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+    }
+    finally {
+      fs.closeSync(fd);
+    }
+
+    offset = size;
+
+    const bytes = Buffer.concat([partialLine, buffer]);
+    let end = bytes.length; // After the last newline
+
+    while (end > 0 && bytes[end - 1] !== 10) end--;
+
+    partialLine = bytes.slice(end);
+
+    return bytes.slice(0, end).toString('utf8').split('\n').map(line => line.trim()).filter(line => line);
+  }
+
+  function poll() {
+
+    let lines;
+
+    try {
+      lines = read();
+    }
+    catch (err) {
+      return; // Removed in the meantime
+    }
+
+    if (lines.length) onLines(lines);
+  }
+
+  poll();
+
+  const timer = setInterval(poll, interval);
+
+  return {
+    close() {
+      clearInterval(timer);
+    },
+  };
+};
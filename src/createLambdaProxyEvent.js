@@ -0,0 +1,55 @@
+'use strict';
+
+const isBinaryMediaType = require('./isBinaryMediaType');
+const createVelocityContext = require('./createVelocityContext');
+
+/*
+  Returns the event API Gateway sends to lambda-proxy integrations
+  http://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-set-up-simple-proxy.html
+*/
+module.exports = function createLambdaProxyEvent(request, options, resource) {
+
+  // Node lowercases headers, the raw ones keep the case the client used (just like APIG)
+  const headers = {};
+  const rawHeaders = request.raw.req.rawHeaders;
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    headers[rawHeaders[i]] = rawHeaders[i + 1];
+  }
+
+  // The $context of templates holds the same data as requestContext
+  const context = createVelocityContext(request, options, {}).context;
+  const payload = request.payload;
+
+  // Like APIG, payloads of binary media types are base64 encoded
+  const isBase64Encoded = Buffer.isBuffer(payload) && !!payload.length && isBinaryMediaType(request.mime, options.binaryMediaTypes);
+  const body = Buffer.isBuffer(payload) ? payload.toString(isBase64Encoded ? 'base64' : 'utf8') : payload;
+
+  return {
+    resource,
+    path: request.path,
+    httpMethod: context.httpMethod,
+    headers,
+    queryStringParameters: Object.keys(request.query).length ? Object.assign({}, request.query) : null,
+    pathParameters: Object.keys(request.params).length ? Object.assign({}, request.params) : null,
+    stageVariables: options.stageVariables,
+    requestContext: {
+      accountId: context.identity.accountId,
+      resourceId: context.resourceId,
+      stage: context.stage,
+      requestId: context.requestId,
+      requestTime: context.requestTime,
+      requestTimeEpoch: context.requestTimeEpoch,
+      identity: context.identity,
+      authorizer: context.authorizer,
+      path: context.path,
+      resourcePath: resource,
+      httpMethod: context.httpMethod,
+      apiId: context.apiId,
+      protocol: context.protocol,
+      domainName: context.domainName,
+      domainPrefix: context.domainPrefix,
+    },
+    body: body ? body : null,
+    isBase64Encoded,
+  };
+};
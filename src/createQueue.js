@@ -0,0 +1,134 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const createUuid = require('./createUuid');
+
+/*
+  An in-memory SQS queue
+  attributes: { visibilityTimeout: 30, maxReceiveCount: 3, deadLetterQueue: <queue> } (seconds)
+  Received messages are invisible until they are deleted or their visibility timeout expires,
+  received more than maxReceiveCount times they move to the dead-letter queue, and onRedrive(message) is called
+*/
+module.exports = function createQueue(name, attributes, onRedrive) {
+
+  const messages = [];
+  const receipts = {}; // Maps the receipt handles given so far to their messages
+
+  const queue = {
+
+    name,
+    attributes,
+
+    // messageAttributes: { name: { DataType, StringValue, BinaryValue } }
+    send(body, messageAttributes, delaySeconds) {
+
+      const now = Date.now();
+      const message = {
+        messageId: createUuid(),
+        body,
+        md5OfBody: md5(new Buffer(body, 'utf8')),
+        messageAttributes: messageAttributes || {},
+        md5OfMessageAttributes: getMessageAttributesMd5(messageAttributes || {}),
+        sentTimestamp: now,
+        firstReceiveTimestamp: null,
+        receiveCount: 0,
+        receiptHandle: null,
+        visibleTimestamp: now + (delaySeconds || 0) * 1000,
+      };
+
+      return queue.add(message);
+    },
+
+    add(message) {
+      message.receiptHandle = null;
+      message.visibleTimestamp = Math.max(message.visibleTimestamp, Date.now());
+      messages.push(message);
+
+      return message;
+    },
+
+    receive(maxNumberOfMessages, visibilityTimeout) {
+
+      const now = Date.now();
+      const timeout = visibilityTimeout === undefined ? attributes.visibilityTimeout : visibilityTimeout;
+      const received = [];
+
+      messages.filter(message => message.visibleTimestamp <= now).forEach(message => {
+
+        if (received.length >= maxNumberOfMessages) return;
+
+        // Redrive
+        if (attributes.deadLetterQueue && message.receiveCount >= attributes.maxReceiveCount) {
+          messages.splice(messages.indexOf(message), 1);
+          attributes.deadLetterQueue.add(message);
+          if (onRedrive) onRedrive(message);
+          return;
+        }
+
+        message.receiveCount++;
+        message.firstReceiveTimestamp = message.firstReceiveTimestamp || now;
+        message.receiptHandle = new Buffer(`${message.messageId} ${createUuid()}`).toString('base64');
+        message.visibleTimestamp = now + timeout * 1000;
+        receipts[message.receiptHandle] = message;
+        received.push(message);
+      });
+
+      return received;
+    },
+
+    // Returns false for unknown receipt handles, deleting a deleted message does nothing
+    delete(receiptHandle) {
+
+      const message = receipts[receiptHandle];
+
+      if (!message) return false;
+
+      delete receipts[receiptHandle];
+
+      const index = messages.indexOf(message);
+      if (index !== -1 && message.receiptHandle === receiptHandle) messages.splice(index, 1);
+
+      return true;
+    },
+
+    list() {
+      return messages.slice();
+    },
+  };
+
+  return queue;
+};
+
+function md5(buffer) {
+  return crypto.createHash('md5').update(buffer).digest('hex');
+}
+
+// Like SQS: the attributes sorted by name, with their length-prefixed name, type and value, plus a transport type byte
+function getMessageAttributesMd5(messageAttributes) {
+
+  const names = Object.keys(messageAttributes).sort();
+
+  if (!names.length) return undefined;
+
+  const withLength = buffer => {
+    const length = new Buffer(4);
+
+    length.writeUInt32BE(buffer.length, 0);
+
+    return Buffer.concat([length, buffer]);
+  };
+
+  return md5(Buffer.concat(names.map(name => {
+
+    const attribute = messageAttributes[name];
+    const isBinary = attribute.BinaryValue !== undefined;
+
+    return Buffer.concat([
+      withLength(new Buffer(name, 'utf8')),
+      withLength(new Buffer(attribute.DataType, 'utf8')),
+      new Buffer([isBinary ? 2 : 1]),
+      withLength(isBinary ? new Buffer(attribute.BinaryValue, 'base64') : new Buffer(attribute.StringValue, 'utf8')),
+    ]);
+  })));
+}
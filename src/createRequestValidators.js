@@ -0,0 +1,28 @@
+'use strict';
+
+const Ajv = require('ajv');
+
+/*
+  Returns a JSON Schema (draft-04) validation function for each content type of an endpoint's requestModels
+  requestModels: { "application/json": "ModelName" or an inline schema }
+  models: { ModelName: schema }, models can reference each other: { "$ref": "ModelName" }
+  Throws when a model is missing or invalid
+*/
+module.exports = function createRequestValidators(requestModels, models) {
+
+  const ajv = new Ajv({ allErrors: true });
+  const validators = {};
+
+  Object.keys(models || {}).forEach(name => ajv.addSchema(models[name], name));
+
+  Object.keys(requestModels || {}).forEach(contentType => {
+    const model = requestModels[contentType];
+    const validate = typeof model === 'string' ? ajv.getSchema(model) : ajv.compile(model);
+
+    if (!validate) throw new Error(`Model '${model}' was not found`);
+
+    validators[contentType] = validate;
+  });
+
+  return validators;
+};
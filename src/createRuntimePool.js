@@ -0,0 +1,264 @@
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const Hapi = require('hapi');
+
+const debugLog = require('./debugLog');
+
+const apiPath = '/2018-06-01/runtime';
+
+/*
+  A pool of custom runtimes' bootstrap processes, keyed by function name, like createWorkerPool
+  Each process gets its own Lambda Runtime API server on a random local port (AWS_LAMBDA_RUNTIME_API),
+  and handles one invocation at a time: the one it gets from /runtime/invocation/next
+  A rebuilt bootstrap starts new processes
+  baseEnv: the env vars of every process, like createWorkerPool's
+  http://docs.aws.amazon.com/lambda/latest/dg/runtimes-api.html
+*/
+module.exports = function createRuntimePool(baseEnv) {
+
+  const idleRuntimes = {}; // Maps a function name to its idle runtimes
+  const allRuntimes = [];
+
+  function createRuntime(key, env, invocation) {
+
+    debugLog(`Starting a runtime for '${key}' (${invocation.bootstrapPath})`);
+
+    const server = new Hapi.Server();
+    const runtime = {
+      key,
+      server,
+      bootstrapTime: getModificationTime(invocation.bootstrapPath),
+      invocation: null,
+      nextReply: null, // The pending /next request, answered with the next invocation
+    };
+
+    // The bootstrap waits for its invocations
+    server.connection({ host: '127.0.0.1', port: 0, routes: { timeout: { socket: false } } });
+
+    server.route([
+      {
+        method: 'GET',
+        path: `${apiPath}/invocation/next`,
+        handler: (request, reply) => {
+          runtime.nextReply = reply;
+          deliverInvocation(runtime);
+        },
+      },
+      {
+        method: 'POST',
+        path: `${apiPath}/invocation/{requestId}/response`,
+        config: { payload: { parse: false, maxBytes: 6 * 1024 * 1024 } },
+        handler: (request, reply) => resolveInvocation(runtime, request, reply, false),
+      },
+      {
+        method: 'POST',
+        path: `${apiPath}/invocation/{requestId}/error`,
+        config: { payload: { parse: false } },
+        handler: (request, reply) => resolveInvocation(runtime, request, reply, true),
+      },
+      {
+        method: 'POST',
+        path: `${apiPath}/init/error`,
+        config: { payload: { parse: false } },
+        handler: (request, reply) => {
+          reply({ status: 'OK' }).code(202);
+          closeRuntime(runtime, parseError(request), `Initialization error in the runtime of '${key}'`);
+        },
+      },
+    ]);
+
+    server.start(err => {
+      if (err) return closeRuntime(runtime, err, `Could not start the Runtime API for '${key}'`);
+
+      // Killed in the meantime
+      if (runtime.isClosed) return server.stop({ timeout: 0 }, () => null);
+
+      const bootstrap = runtime.process = childProcess.spawn(invocation.bootstrapPath, [], {
+        cwd: path.dirname(invocation.bootstrapPath),
+        env: Object.assign({}, baseEnv, env, {
+          AWS_LAMBDA_RUNTIME_API: `127.0.0.1:${server.info.port}`,
+          AWS_LAMBDA_FUNCTION_NAME: invocation.fun.name,
+          AWS_LAMBDA_FUNCTION_VERSION: '$LATEST',
+          AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(invocation.fun.memorySize || 1024),
+          LAMBDA_TASK_ROOT: path.dirname(invocation.bootstrapPath),
+          _HANDLER: invocation.handler,
+        }),
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+
+      bootstrap.stdout.pipe(process.stdout, { end: false });
+      bootstrap.stderr.pipe(process.stderr, { end: false });
+
+      // The runtime handles one invocation at a time: its output is the invocation's
+      [bootstrap.stdout, bootstrap.stderr].forEach(stream => stream.on('data', chunk => {
+        if (runtime.invocation) runtime.invocation.output += chunk;
+      }));
+
+      bootstrap.on('error', err => closeRuntime(runtime, err, `Could not start the bootstrap of '${key}'`));
+      bootstrap.on('exit', (code, signal) => {
+        debugLog(`Runtime for '${key}' exited with code ${code} (${signal})`);
+        closeRuntime(runtime, new Error(`Runtime exited with code ${code} before the invocation resolved`), `Uncaught error in your '${key}' runtime`);
+      });
+    });
+
+    allRuntimes.push(runtime);
+
+    return runtime;
+  }
+
+  function deliverInvocation(runtime) {
+
+    const invocation = runtime.invocation;
+    const reply = runtime.nextReply;
+
+    if (!invocation || !reply || invocation.isDelivered) return;
+
+    runtime.nextReply = null;
+    invocation.isDelivered = true;
+
+    reply(JSON.stringify(invocation.event))
+      .type('application/json')
+      .header('Lambda-Runtime-Aws-Request-Id', invocation.requestId)
+      .header('Lambda-Runtime-Deadline-Ms', String(invocation.deadline))
+      .header('Lambda-Runtime-Invoked-Function-Arn', invocation.invokedFunctionArn)
+      .header('Lambda-Runtime-Trace-Id', `Root=offlineContext_traceId;Parent=${invocation.requestId};Sampled=0`);
+  }
+
+  function resolveInvocation(runtime, request, reply, isError) {
+
+    const invocation = runtime.invocation;
+
+    if (!invocation || !invocation.isDelivered || invocation.requestId !== request.params.requestId) {
+      return reply({ errorMessage: 'Invalid request ID', errorType: 'InvalidRequestID' }).code(400);
+    }
+
+    reply({ status: 'OK' }).code(202);
+
+    runtime.invocation = null;
+
+    // Released runtimes do not get new invocations
+    if (runtime.isReleased) closeRuntime(runtime);
+    else idleRuntimes[runtime.key].push(runtime);
+
+    if (isError) return invocation.callback(parseError(request), null, invocation.output);
+
+    const body = (request.payload || '').toString();
+    let result;
+
+    try {
+      result = JSON.parse(body);
+    }
+    catch (err) {
+      result = body;
+    }
+
+    invocation.callback(null, result, invocation.output);
+  }
+
+  // Fails the runtime's invocation, if any
+  function closeRuntime(runtime, err, offlineMessage) {
+
+    if (runtime.isClosed) return;
+
+    runtime.isClosed = true;
+
+    const idleIndex = (idleRuntimes[runtime.key] || []).indexOf(runtime);
+    if (idleIndex !== -1) idleRuntimes[runtime.key].splice(idleIndex, 1);
+
+    allRuntimes.splice(allRuntimes.indexOf(runtime), 1);
+
+    if (runtime.process) runtime.process.kill('SIGKILL');
+    if (runtime.server.info.started) runtime.server.stop({ timeout: 0 }, () => null);
+
+    const invocation = runtime.invocation;
+
+    runtime.invocation = null;
+
+    if (invocation && err) {
+      err.offlineMessage = offlineMessage;
+      invocation.callback(err, null, invocation.output);
+    }
+  }
+
+  return {
+
+    // Sends the invocation to an idle (or new) runtime, returns a function that kills it
+    // invocation: { requestId, event, deadline, invokedFunctionArn, bootstrapPath, handler, fun: { name, memorySize } }
+    // callback(err, data, output): output is what the bootstrap wrote during the invocation
+    invoke(key, env, invocation, callback) {
+
+      if (!idleRuntimes[key]) idleRuntimes[key] = [];
+
+      const bootstrapTime = getModificationTime(invocation.bootstrapPath);
+      let runtime = idleRuntimes[key].pop();
+
+      while (runtime && runtime.bootstrapTime !== bootstrapTime) {
+        closeRuntime(runtime);
+        runtime = idleRuntimes[key].pop();
+      }
+
+      runtime = runtime || createRuntime(key, env, invocation);
+      runtime.invocation = Object.assign({ callback, output: '' }, invocation);
+
+      deliverInvocation(runtime);
+
+      const ownInvocation = runtime.invocation;
+
+      return () => {
+        if (runtime.invocation !== ownInvocation) return; // Resolved, the runtime may be handling another one
+
+        debugLog(`Killing runtime for '${key}'`);
+        closeRuntime(runtime);
+      };
+    },
+
+    // The function's runtimes are killed once idle, its next invocations start new ones (new env vars, new bootstrap)
+    release(key) {
+      allRuntimes.filter(runtime => runtime.key === key).forEach(runtime => {
+        runtime.isReleased = true;
+        if (!runtime.invocation) closeRuntime(runtime);
+      });
+    },
+
+    // Kills every runtime, busy or not
+    close() {
+      allRuntimes.slice().forEach(runtime => closeRuntime(runtime));
+    },
+  };
+};
+
+// Like Lambda, the error can be any JSON, usually { errorMessage, errorType, stackTrace }
+function parseError(request) {
+
+  const body = (request.payload || '').toString();
+  let parsed;
+
+  try {
+    parsed = JSON.parse(body);
+  }
+  catch (err) {
+    parsed = { errorMessage: body };
+  }
+
+  parsed = parsed && typeof parsed === 'object' ? parsed : { errorMessage: String(parsed) };
+
+  const error = new Error(parsed.errorMessage || 'Unknown error');
+  const stackTrace = Array.isArray(parsed.stackTrace) ? parsed.stackTrace : [];
+
+  error.errorType = parsed.errorType || request.headers['lambda-runtime-function-error-type'] || 'Unhandled';
+  error.stack = [`${error.errorType}: ${error.message}`].concat(stackTrace).join('\n');
+
+  return error;
+}
+
+function getModificationTime(filePath) {
+  try {
+    return fs.statSync(filePath).mtime.getTime();
+  }
+  catch (err) {
+    return null;
+  }
+}
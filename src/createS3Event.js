@@ -0,0 +1,52 @@
+'use strict';
+
+let sequence = 0;
+
+/*
+  Returns the event S3 sends to the functions subscribed to a bucket's notifications
+  object: { key, size, eTag } (removed objects only have a key)
+  http://docs.aws.amazon.com/AmazonS3/latest/dev/notification-content-structure.html
+*/
+module.exports = function createS3Event(eventName, bucket, object, configurationId, region) {
+
+  // Like S3, the key is URL-encoded
+  const s3Object = {
+    key: encodeURIComponent(object.key).replace(/%2F/g, '/').replace(/%20/g, '+'),
+    sequencer: (Date.now() * 1000 + sequence++ % 1000).toString(16).toUpperCase(),
+  };
+
+  if (object.size !== undefined) s3Object.size = object.size;
+  if (object.eTag) s3Object.eTag = object.eTag;
+
+  return {
+    Records: [{
+      eventVersion: '2.0',
+      eventSource: 'aws:s3',
+      awsRegion: region,
+      eventTime: new Date().toISOString(),
+      eventName,
+      userIdentity: {
+        principalId: 'offlineContext_principalId',
+      },
+      requestParameters: {
+        sourceIPAddress: '127.0.0.1',
+      },
+      responseElements: {
+        'x-amz-request-id': 'offlineContext_requestId',
+        'x-amz-id-2': 'offlineContext_id2',
+      },
+      s3: {
+        s3SchemaVersion: '1.0',
+        configurationId,
+        bucket: {
+          name: bucket,
+          ownerIdentity: {
+            principalId: 'offlineContext_principalId',
+          },
+          arn: `arn:aws:s3:::${bucket}`,
+        },
+        object: s3Object,
+      },
+    }],
+  };
+};
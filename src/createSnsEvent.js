@@ -0,0 +1,32 @@
+'use strict';
+
+/*
+  Returns the event SNS sends to the functions subscribed to a topic
+  message: { messageId, message, subject, messageAttributes: { name: { Type, Value } } }
+  http://docs.aws.amazon.com/lambda/latest/dg/eventsources.html#eventsources-sns
+*/
+module.exports = function createSnsEvent(topicArn, subscriptionArn, message) {
+
+  const sns = {
+    SignatureVersion: '1',
+    Timestamp: new Date().toISOString(),
+    Signature: 'offlineContext_signature',
+    SigningCertUrl: 'offlineContext_signingCertUrl',
+    MessageId: message.messageId,
+    Message: message.message,
+    MessageAttributes: message.messageAttributes,
+    Type: 'Notification',
+    UnsubscribeUrl: 'offlineContext_unsubscribeUrl',
+    TopicArn: topicArn,
+    Subject: message.subject === undefined ? null : message.subject,
+  };
+
+  return {
+    Records: [{
+      EventVersion: '1.0',
+      EventSubscriptionArn: subscriptionArn,
+      EventSource: 'aws:sns',
+      Sns: sns,
+    }],
+  };
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/*
+  Returns the event SQS's poller sends to the functions subscribed to a queue, for a batch of received messages
+  messages: the queue's messages (createQueue)
+  http://docs.aws.amazon.com/lambda/latest/dg/with-sqs.html
+*/
+module.exports = function createSqsEvent(messages, queueArn, region) {
+
+  return {
+    Records: messages.map(message => ({
+      messageId: message.messageId,
+      receiptHandle: message.receiptHandle,
+      body: message.body,
+      attributes: {
+        ApproximateReceiveCount: String(message.receiveCount),
+        SentTimestamp: String(message.sentTimestamp),
+        SenderId: 'offlineContext_senderId',
+        ApproximateFirstReceiveTimestamp: String(message.firstReceiveTimestamp),
+      },
+      messageAttributes: Object.keys(message.messageAttributes).reduce((messageAttributes, name) => {
+        const attribute = message.messageAttributes[name];
+
+        messageAttributes[name] = {
+          stringValue: attribute.StringValue,
+          binaryValue: attribute.BinaryValue,
+          stringListValues: [],
+          binaryListValues: [],
+          dataType: attribute.DataType,
+        };
+
+        return messageAttributes;
+      }, {}),
+      md5OfBody: message.md5OfBody,
+      eventSource: 'aws:sqs',
+      eventSourceARN: queueArn,
+      awsRegion: region,
+    })),
+  };
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/*
+  Returns the event DynamoDB Streams or Kinesis sends to the functions subscribed to a stream, for a batch of records
+  records: [{ sequenceNumber, arrivalTimestamp, value }]
+  Kinesis values: { partitionKey, data } (data: a Buffer, a string or any JSON)
+  DynamoDB values: { eventName, Keys, NewImage, OldImage, StreamViewType } (in DynamoDB's JSON format: { "S": "value" })
+  http://docs.aws.amazon.com/lambda/latest/dg/eventsources.html#eventsources-ddb-update
+  http://docs.aws.amazon.com/lambda/latest/dg/eventsources.html#eventsources-kinesis-streams
+*/
+module.exports = function createStreamEvent(streamType, records, streamArn, region) {
+
+  return {
+    Records: records.map(record => streamType === 'dynamodb' ?
+      createDynamoDBRecord(record, streamArn, region) :
+      createKinesisRecord(record, streamArn, region)),
+  };
+};
+
+function createDynamoDBRecord(record, streamArn, region) {
+
+  const value = record.value;
+  const dynamodb = {
+    ApproximateCreationDateTime: Math.floor(record.arrivalTimestamp / 1000),
+    Keys: value.Keys || {},
+  };
+
+  if (value.NewImage) dynamodb.NewImage = value.NewImage;
+  if (value.OldImage) dynamodb.OldImage = value.OldImage;
+
+  dynamodb.SequenceNumber = record.sequenceNumber;
+  dynamodb.SizeBytes = Buffer.byteLength(JSON.stringify([dynamodb.Keys, value.NewImage, value.OldImage]));
+  dynamodb.StreamViewType = value.StreamViewType || 'NEW_AND_OLD_IMAGES';
+
+  return {
+    eventID: crypto.createHash('md5').update(`${streamArn} ${record.sequenceNumber}`).digest('hex'),
+    eventName: value.eventName || (value.NewImage ? value.OldImage ? 'MODIFY' : 'INSERT' : 'REMOVE'),
+    eventVersion: '1.1',
+    eventSource: 'aws:dynamodb',
+    awsRegion: region,
+    dynamodb,
+    eventSourceARN: streamArn,
+  };
+}
+
+function createKinesisRecord(record, streamArn, region) {
+
+  const data = record.value.data;
+  const buffer = Buffer.isBuffer(data) ? data : new Buffer(typeof data === 'string' ? data : JSON.stringify(data), 'utf8');
+
+  return {
+    kinesis: {
+      kinesisSchemaVersion: '1.0',
+      partitionKey: String(record.value.partitionKey),
+      sequenceNumber: record.sequenceNumber,
+      data: buffer.toString('base64'),
+      approximateArrivalTimestamp: record.arrivalTimestamp / 1000,
+    },
+    eventSource: 'aws:kinesis',
+    eventVersion: '1.0',
+    eventID: `shardId-000000000000:${record.sequenceNumber}`,
+    eventName: 'aws:kinesis:record',
+    invokeIdentityArn: 'offlineContext_invokeIdentityArn',
+    awsRegion: region,
+    eventSourceARN: streamArn,
+  };
+}
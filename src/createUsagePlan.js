@@ -0,0 +1,72 @@
+'use strict';
+
+/*
+  Enforces an APIG usage plan, each API key gets its own throttle and quota:
+  {
+    throttle: { rateLimit: 10, burstLimit: 20 }, // requests per second, token bucket size
+    quota: { limit: 1000, period: 'DAY' }        // DAY, WEEK or MONTH (UTC calendar periods)
+  }
+*/
+module.exports = function createUsagePlan(usagePlan) {
+
+  const throttle = (usagePlan || {}).throttle || {};
+  const quota = (usagePlan || {}).quota || {};
+  const rateLimit = Number(throttle.rateLimit) || 0;
+  const burstLimit = Number(throttle.burstLimit) || Math.max(rateLimit, 1);
+  const quotaLimit = Number(quota.limit) || 0;
+  const states = {};
+
+  return {
+
+    // Returns the message APIG replies with when the key exceeds its plan, or null
+    consume(apiKey) {
+
+      const now = Date.now();
+      const state = states[apiKey] || (states[apiKey] = {
+        tokens: burstLimit,
+        refillTime: now,
+        periodStart: null,
+        count: 0,
+      });
+
+      if (rateLimit) {
+        state.tokens = Math.min(burstLimit, state.tokens + (now - state.refillTime) * rateLimit / 1000);
+        state.refillTime = now;
+
+        if (state.tokens < 1) return 'Too Many Requests';
+      }
+
+      if (quotaLimit) {
+        const periodStart = getPeriodStart(quota.period, now);
+
+        if (state.periodStart !== periodStart) {
+          state.periodStart = periodStart;
+          state.count = 0;
+        }
+
+        if (state.count >= quotaLimit) return 'Limit Exceeded';
+
+        state.count++;
+      }
+
+      if (rateLimit) state.tokens--;
+
+      return null;
+    },
+  };
+};
+
+function getPeriodStart(period, now) {
+
+  const date = new Date(now);
+  const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+  switch ((period || 'DAY').toUpperCase()) {
+    case 'WEEK':
+      return start - date.getUTCDay() * 24 * 60 * 60 * 1000;
+    case 'MONTH':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    default:
+      return start;
+  }
+}
@@ -0,0 +1,16 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// A random (version 4) UUID, like the ids AWS services give to messages
+module.exports = function createUuid() {
+
+  const bytes = crypto.randomBytes(16);
+
+  bytes[6] = bytes[6] & 0x0f | 0x40;
+  bytes[8] = bytes[8] & 0x3f | 0x80;
+
+  const hex = bytes.toString('hex');
+
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
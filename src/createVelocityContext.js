@@ -1,69 +1,167 @@
 'use strict';
 
+const _ = require('lodash');
 const jsonPath = require('./jsonPath');
+const parseApigJson = require('./parseApigJson');
+const isBinaryMediaType = require('./isBinaryMediaType');
 const jsEscapeString = require('js-string-escape');
 const isPlainObject = require('lodash.isplainobject');
 
 /*
   Returns a context object that mocks APIG mapping template reference
+  With options.strictVelocity, $input.path and $input.json read the body with Java types, like APIG (see parseApigJson)
   http://docs.aws.amazon.com/apigateway/latest/developerguide/api-gateway-mapping-template-reference.html
 */
-module.exports = function createVelocityContext(request, options, payload) {
+module.exports = function createVelocityContext(request, options, payload, body) {
   
-  const path = x => jsonPath(payload || {}, x);
+  const rawBody = body === undefined ? getRawBody(request, options) : body;
+  const getJson = options.strictVelocity ? _.once(() => tryToParseApigJson(rawBody, payload)) : () => payload || {};
+  const path = x => jsonPath(getJson(), x);
 
+  // Set once a custom authorizer allowed the request, once its API key was validated and once its requestParameters were mapped
+  const pluginData = request.plugins['serverless-offline'] || {};
+  const authorizer = pluginData.authorizer;
+  const mappedParameters = pluginData.integrationParameters || { header: {}, querystring: {}, path: {} };
+  
   // Capitalize request.headers as NodeJS use lowercase headers 
   // however API Gateway always pass capitalize headers
   const headers = {};
+  const capitalize = key => key.toLowerCase().replace(/((?:^|-)[a-z])/g, x => x.toUpperCase());
   for (let key in request.headers) {
-    headers[key.replace(/((?:^|-)[a-z])/g, x => x.toUpperCase())] = request.headers[key];
+    headers[capitalize(key)] = request.headers[key];
+  }
+  
+  // The integration request mappings override the request's parameters, the request itself is left as is
+  const pathParameters = Object.assign({}, request.params, mappedParameters.path);
+  const querystring = Object.assign({}, request.query, mappedParameters.querystring);
+  for (let key in mappedParameters.header) {
+    headers[capitalize(key)] = mappedParameters.header[key];
   }
   
+  const prefix = options.prefix || '/';
+  const requestPath = '/' + request.path.slice(prefix.length);
+  const received = request.info.received;
+  
+  const identity = {
+    accessKey: 'offlineContext_accessKey',
+    accountId: 'offlineContext_accountId',
+    apiKey: 'offlineContext_apiKey',
+    apiKeyId: 'offlineContext_apiKeyId',
+    caller: 'offlineContext_caller',
+    cognitoAuthenticationProvider: 'offlineContext_cognitoAuthenticationProvider',
+    cognitoAuthenticationType: 'offlineContext_cognitoAuthenticationType',
+    cognitoIdentityId: 'offlineContext_cognitoIdentityId',
+    cognitoIdentityPoolId: 'offlineContext_cognitoIdentityPoolId',
+    sourceIp: request.info.remoteAddress,
+    user: 'offlineContext_user',
+    userAgent: request.headers['user-agent'],
+    userArn: 'offlineContext_userArn',
+  };
+  
+  // Identity fields can be set in the config, or per request with headers like "X-Offline-Identity-Cognito-Identity-Id"
+  Object.assign(identity, options.identity, pluginData.apiKey && { apiKey: pluginData.apiKey }, getIdentityOverrides(request.headers, identity));
+  
   return {
     context: {
       apiId: 'offlineContext_apiId',
-      authorizer: {
+      authorizer: authorizer || {
         principalId: process.env.PRINCIPAL_ID || 'offlineContext_authorizer_principalId', // See #24
       },
+      domainName: request.info.hostname,
+      domainPrefix: request.info.hostname.split('.')[0],
       httpMethod: request.method.toUpperCase(),
-      identity: {
-        accountId: 'offlineContext_accountId',
-        apiKey: 'offlineContext_apiKey',
-        caller: 'offlineContext_caller',
-        cognitoAuthenticationProvider: 'offlineContext_cognitoAuthenticationProvider',
-        cognitoAuthenticationType: 'offlineContext_cognitoAuthenticationType',
-        sourceIp: request.info.remoteAddress,
-        user: 'offlineContext_user',
-        userAgent: request.headers['user-agent'],
-        userArn: 'offlineContext_userArn',
-      },
+      identity,
+      path: `/${options.stage}${requestPath}`,
+      protocol: `HTTP/${request.raw.req.httpVersion}`,
       requestId: 'offlineContext_requestId_' + Math.random().toString(10).slice(2),
+      requestTime: formatRequestTime(new Date(received)),
+      requestTimeEpoch: received,
       resourceId: 'offlineContext_resourceId',
-      resourcePath: request.route.path,
+      resourcePath: '/' + request.route.path.slice(prefix.length),
       stage: options.stage,
     },
     input: {
-      json: x => JSON.stringify(path(x)),
+      body: rawBody,
+      json: x => options.strictVelocity ? stringifyApigJson(path(x)) : JSON.stringify(path(x)),
       params: x => typeof x === 'string' ?
-        request.params[x] || request.query[x] || headers[x] :
+        pathParameters[x] || querystring[x] || headers[Object.keys(headers).filter(key => key.toLowerCase() === x.toLowerCase())[0]] :
         {
-          path: request.params,
-          querystring: request.query,
+          path: pathParameters,
+          querystring,
           header: headers,
         },
       path,
     },
     stageVariables: options.stageVariables,
     util: {
-      urlEncode: encodeURI,
-      urlDecode: decodeURI,
+      urlEncode,
+      urlDecode: x => decodeURIComponent(x.toString().replace(/\+/g, ' ')),
       escapeJavaScript,
-      base64Encode: x => new Buffer(x.toString(), 'binary').toString('base64'),
-      base64Decode: x => new Buffer(x.toString(), 'base64').toString('binary'),
+      parseJson: x => JSON.parse(x),
+      base64Encode: x => new Buffer(x.toString(), 'utf8').toString('base64'),
+      base64Decode: x => new Buffer(x.toString(), 'base64').toString('utf8'),
     },
   };
 };
 
+// Like APIG, binary media types are base64 encoded
+function getRawBody(request, options) {
+  const payload = request.payload;
+  
+  if (!Buffer.isBuffer(payload)) return typeof payload === 'string' ? payload : '';
+  
+  return payload.toString(isBinaryMediaType(request.mime, options.binaryMediaTypes) ? 'base64' : 'utf8');
+}
+
+// Bodies that are not JSON (forms, ...) are read as the payload
+function tryToParseApigJson(rawBody, payload) {
+  try {
+    return parseApigJson(rawBody);
+  }
+  catch (err) {
+    return payload || {};
+  }
+}
+
+// Like JSON.stringify, with the Java numbers of parseApigJson
+function stringifyApigJson(value) {
+  if (value instanceof Number && value.javaString) return value.javaString;
+  if (Array.isArray(value)) return `[${value.map(stringifyApigJson).join(',')}]`;
+  if (isPlainObject(value)) return `{${Object.keys(value).map(key => `${JSON.stringify(key)}:${stringifyApigJson(value[key])}`).join(',')}}`;
+  
+  return JSON.stringify(value);
+}
+
+function getIdentityOverrides(headers, identity) {
+  const overrides = {};
+  const prefix = 'x-offline-identity-';
+  
+  Object.keys(headers).filter(key => key.startsWith(prefix)).forEach(key => {
+    const name = key.slice(prefix.length).replace(/-/g, '');
+    const identityKey = Object.keys(identity).filter(x => x.toLowerCase() === name)[0];
+    
+    if (identityKey) overrides[identityKey] = headers[key];
+  });
+  
+  return overrides;
+}
+
+// Like Java's URLEncoder: application/x-www-form-urlencoded
+function urlEncode(x) {
+  return encodeURIComponent(x.toString())
+    .replace(/[!'()~]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())
+    .replace(/%20/g, '+');
+}
+
+// "09/Apr/2015:12:34:56 +0000"
+function formatRequestTime(date) {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const pad = n => n < 10 ? '0' + n : n;
+  
+  return `${pad(date.getUTCDate())}/${months[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
 function escapeJavaScript(x) {
   if (typeof x === 'string') return jsEscapeString(x).replace(/\\n/g, '\n'); // See #26,
   else if (isPlainObject(x)) {
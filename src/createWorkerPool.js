@@ -0,0 +1,157 @@
+'use strict';
+
+const childProcess = require('child_process');
+const path = require('path');
+
+const debugLog = require('./debugLog');
+
+const workerPath = path.join(__dirname, 'childProcessWorker.js');
+
+/*
+  A pool of child processes, keyed by function name
+  Each process handles one invocation at a time and is reused once it is idle,
+  so every function gets its own environment variables and module state.
+  baseEnv: the env vars every process starts from, not process.env which holds the in-process handlers' ones
+*/
+module.exports = function createWorkerPool(baseEnv) {
+
+  const idleWorkers = {}; // Maps a function name to its idle child processes
+  const allWorkers = [];
+  let invocationsCount = 0;
+
+  function removeWorker(key, worker) {
+    const idleIndex = idleWorkers[key].indexOf(worker);
+    if (idleIndex !== -1) idleWorkers[key].splice(idleIndex, 1);
+
+    const index = allWorkers.indexOf(worker);
+    if (index !== -1) allWorkers.splice(index, 1);
+  }
+
+  function failInvocations(worker, message, offlineMessage) {
+    const callbacks = worker.callbacks;
+
+    worker.callbacks = {};
+
+    for (let id in callbacks) {
+      const error = new Error(message);
+
+      error.offlineMessage = offlineMessage;
+      callbacks[id](error, null);
+    }
+  }
+
+  function createWorker(key, env) {
+    debugLog(`Forking a new process for '${key}'`);
+
+    const worker = childProcess.fork(workerPath, [], {
+      env: Object.assign({}, baseEnv, env),
+      silent: true,
+    });
+
+    worker.stdout.pipe(process.stdout, { end: false });
+    worker.stderr.pipe(process.stderr, { end: false });
+
+    worker.on('message', message => {
+      const callback = worker.callbacks[message.id];
+      if (!callback) return;
+
+      delete worker.callbacks[message.id];
+
+      // Released processes do not get new invocations
+      if (worker.isReleased) worker.kill('SIGKILL');
+      else idleWorkers[key].push(worker);
+
+      if (message.error) {
+        const error = new Error(message.error.message);
+
+        error.errorType = message.error.name;
+        error.stack = message.error.stack;
+        error.offlineMessage = message.error.offlineMessage;
+
+        return callback(error, null, message.output);
+      }
+
+      callback(null, message.data, message.output);
+    });
+
+    worker.on('exit', (code, signal) => {
+      debugLog(`Process for '${key}' exited with code ${code} (${signal})`);
+      removeWorker(key, worker);
+      failInvocations(worker, `Process for '${key}' exited with code ${code} before the handler resolved`, `Uncaught error in your '${key}' handler`);
+    });
+
+    // Could not be forked or killed, or a message could not be sent
+    worker.on('error', err => {
+      debugLog(`Process for '${key}' failed: ${err.message}`);
+      removeWorker(key, worker);
+      worker.kill('SIGKILL');
+      failInvocations(worker, err.message, `Error in the process of '${key}'`);
+    });
+
+    worker.key = key;
+    worker.callbacks = {};
+    allWorkers.push(worker);
+
+    return worker;
+  }
+
+  return {
+
+    // Sends the invocation to an idle (or new) process, returns a function that kills it
+    // callback(err, data, output): output is what the handler wrote, with message.shouldCaptureOutput
+    invoke(key, env, message, callback) {
+      if (!idleWorkers[key]) idleWorkers[key] = [];
+
+      const worker = idleWorkers[key].pop() || createWorker(key, env);
+      const id = ++invocationsCount;
+
+      worker.callbacks[id] = callback;
+
+      const fail = err => {
+        if (!worker.callbacks[id]) return;
+
+        const error = new Error(`Could not send the invocation to the process for '${key}': ${err.message}`);
+
+        delete worker.callbacks[id];
+        error.offlineMessage = `Error while invoking '${key}'`;
+        callback(error, null);
+      };
+
+      try {
+        // The process may be gone: it cannot be used anymore
+        worker.send(Object.assign({ id }, message), err => {
+          if (!err) return;
+
+          fail(err);
+          worker.kill('SIGKILL');
+        });
+      }
+      catch (err) {
+        // The message cannot be serialized: the process is still idle
+        fail(err);
+        if (worker.isReleased) worker.kill('SIGKILL');
+        else idleWorkers[key].push(worker);
+      }
+
+      return () => {
+        debugLog(`Killing process for '${key}'`);
+        worker.kill('SIGKILL');
+      };
+    },
+
+    // The function's processes are killed once idle, its next invocations fork new ones (new env vars, new handler)
+    release(key) {
+      allWorkers.filter(worker => worker.key === key).forEach(worker => {
+        worker.isReleased = true;
+        if (!Object.keys(worker.callbacks).length) worker.kill('SIGKILL');
+      });
+
+      idleWorkers[key] = [];
+    },
+
+    // Kills every process, busy or not
+    close() {
+      allWorkers.slice().forEach(worker => worker.kill('SIGKILL'));
+    },
+  };
+};
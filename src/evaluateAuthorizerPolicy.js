@@ -0,0 +1,53 @@
+'use strict';
+
+const isPlainObject = require('lodash.isplainobject');
+
+/*
+  Tells if an authorizer's IAM policy allows the invocation of a method
+  Like IAM, an explicit Deny wins over any Allow and no Allow means Deny
+  Throws when the policy is malformed
+*/
+module.exports = function evaluateAuthorizerPolicy(policyDocument, methodArn) {
+
+  if (!isPlainObject(policyDocument)) throw new Error('Missing policyDocument');
+
+  const statements = toArray(policyDocument.Statement);
+
+  if (!statements.length) throw new Error('The policyDocument has no Statement');
+
+  let isAllowed = false;
+
+  for (let i = 0; i < statements.length; i++) {
+    const statement = statements[i];
+    const effect = statement.Effect;
+
+    if (effect !== 'Allow' && effect !== 'Deny') throw new Error(`Invalid statement Effect: ${effect}`);
+
+    const matchesAction = toArray(statement.Action).some(action => action === '*' || /^execute-api:(\*|Invoke)$/.test(action));
+    const matchesResource = toArray(statement.Resource).some(resource => createArnMatcher(resource).test(methodArn));
+
+    if (matchesAction && matchesResource) {
+      if (effect === 'Deny') return false;
+
+      isAllowed = true;
+    }
+  }
+
+  return isAllowed;
+};
+
+function toArray(x) {
+  if (Array.isArray(x)) return x;
+
+  return x ? [x] : [];
+}
+
+// IAM wildcards: "*" matches any sequence of characters and "?" a single character
+function createArnMatcher(resource) {
+  const pattern = resource
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${pattern}$`);
+}
@@ -0,0 +1,15 @@
+'use strict';
+
+/*
+  Returns the value of a method request parameter
+  Expressions look like "method.request.header.Authorization", "method.request.querystring.page" or "method.request.path.id"
+*/
+module.exports = function getRequestParameter(request, expression) {
+
+  const parts = expression.split('.');
+  const name = parts.slice(3).join('.');
+
+  if (parts[2] === 'header') return request.headers[name.toLowerCase()];
+  if (parts[2] === 'querystring') return request.query[name];
+  if (parts[2] === 'path') return request.params[name];
+};
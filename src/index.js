@@ -10,7 +10,9 @@ module.exports = S => {
 
   // Node dependencies
   const fs = require('fs');
+  const crypto = require('crypto');
   const path = require('path');
+  const querystring = require('querystring');
 
   // External dependencies
   const _ = require('lodash');
@@ -23,14 +25,45 @@ module.exports = S => {
   // Internal lib
   const debugLog = require('./debugLog');
   const jsonPath = require('./jsonPath');
+  const createWorkerPool = require('./createWorkerPool');
+  const createRuntimePool = require('./createRuntimePool');
+  const createConfigWatcher = require('./createConfigWatcher');
+  const parseScheduleExpression = require('./parseScheduleExpression');
+  const captureOutput = require('./captureOutput');
+  const createDirectoryPoller = require('./createDirectoryPoller');
+  const createAuthorizerCache = require('./createAuthorizerCache');
+  const createUsagePlan = require('./createUsagePlan');
+  const createCorsHeaders = require('./createCorsHeaders');
+  const parseRequestPayload = require('./parseRequestPayload');
+  const isBinaryMediaType = require('./isBinaryMediaType');
+  const negotiateContentType = require('./negotiateContentType');
+  const resolveResponseParameter = require('./resolveResponseParameter');
+  const validateResponseParameters = require('./validateResponseParameters');
+  const getRequestParameter = require('./getRequestParameter');
+  const mapRequestParameters = require('./mapRequestParameters');
+  const createRequestValidators = require('./createRequestValidators');
   const createLambdaContext = require('./createLambdaContext');
+  const invokePythonHandler = require('./invokePythonHandler');
   const createVelocityContext = require('./createVelocityContext');
+  const createLambdaProxyEvent = require('./createLambdaProxyEvent');
+  const createAuthorizerEvent = require('./createAuthorizerEvent');
+  const createS3Event = require('./createS3Event');
+  const createSnsEvent = require('./createSnsEvent');
+  const createQueue = require('./createQueue');
+  const createSqsEvent = require('./createSqsEvent');
+  const createFileTailer = require('./createFileTailer');
+  const createStreamEvent = require('./createStreamEvent');
+  const createUuid = require('./createUuid');
+  const matchesFilterPolicy = require('./matchesFilterPolicy');
+  const parseMessageAttributes = require('./parseMessageAttributes');
+  const toXml = require('./toXml');
+  const evaluateAuthorizerPolicy = require('./evaluateAuthorizerPolicy');
+  const renderVelocityTemplate = require('./renderVelocityTemplate');
   const renderVelocityTemplateObject = require('./renderVelocityTemplateObject');
 
-  function logPluginIssue() {
-    serverlessLog('If you think this is an issue with the plugin please submit it, thanks!');
-    serverlessLog('https://github.com/dherault/serverless-offline/issues');
-  }
+  // The XML namespace of SNS's responses
+  const snsNamespace = 'http://sns.amazonaws.com/doc/2010-03-31/';
+  const sqsNamespace = 'http://queue.amazonaws.com/doc/2012-11-05/';
 
 	/**
      * Webpack runtime ref
@@ -59,7 +92,7 @@ module.exports = S => {
           {
             option:      'port',
             shortcut:    'P',
-            description: 'Port to listen on. Default: 3000'
+            description: 'Port to listen on, 0 for a random one. Default: 3000'
           },
           {
             option:       'stage',
@@ -85,6 +118,35 @@ module.exports = S => {
             option:       'noTimeout',
             shortcut:     't',
             description:  'Disable the timeout feature.'
+          },
+          {
+            option:       'useChildProcesses',
+            shortcut:     'i',
+            description:  'Runs each handler invocation in an isolated child process (one pool per function) instead of the plugin process.'
+          },
+          {
+            option:       'noAuthorizerCache',
+            description:  'Disables the caching of custom authorizers\' results.'
+          },
+          {
+            option:       'strictVelocity',
+            description:  'Renders templates the way APIG does: as whole documents, parsed as JSON once. Values are no longer parsed one by one.'
+          },
+          {
+            option:       'apiKeys',
+            description:  'Enforces API keys on endpoints requiring one. Comma-separated list of keys, generates one if no value is given.'
+          },
+          {
+            option:       'runSchedulesOnInit',
+            description:  'Invokes the functions of every enabled schedule event once at startup.'
+          },
+          {
+            option:       's3Buckets',
+            description:  'Maps S3 buckets to local directories: files created and removed there trigger the buckets\' s3 events. Example: "my-bucket=s3/my-bucket,other=s3/other"'
+          },
+          {
+            option:       'streamsDirectory',
+            description:  'The directory of the streams\' files: records appended to [streamName].jsonl trigger the streams\' events. Default: streams'
           }
         ]
       });
@@ -113,66 +175,158 @@ module.exports = S => {
     }
 
 
-    // Entry point for the plugin (sls offline start)
-    start(optionsAndData) {
+    // Entry point for the plugin (sls offline start), errors are fatal
+    start() {
+      return this.run(S.cli && S.cli.options).catch(err => {
+        serverlessLog(err.message);
+        process.exit(1);
+      });
+    }
+
+    // Starts the server with the cli's options, resolves once it listens (this.port is the actual port)
+    run(userOptions) {
+      return Promise.resolve()
+        .then(() => this._start(userOptions))
+        .catch(err => {
+          // Stops what was started before the error
+          const stopping = this.server ? this.stop() : Promise.resolve();
+
+          return stopping.then(() => Promise.reject(err));
+        });
+    }
+
+    _start(userOptions) {
 
       // Serverless version checking
       const version = S._version;
-      if (!version.startsWith('0.5')) {
-        serverlessLog(`Offline requires Serverless v0.5.x but found ${version}. Exiting.`);
-        process.exit(0);
-      }
+      if (!version.startsWith('0.5')) throw new Error(`Offline requires Serverless v0.5.x but found ${version}. Exiting.`);
 
       // Internals
+      this.originalEnv = Object.assign({}, process.env); // Given back on stop, for the programmatic API
       process.env.IS_OFFLINE = true;  // Some users would like to know their environment outside of the handler
+      this.processEnv = Object.assign({}, process.env); // Before any handler's env vars: child processes start from it
       this.project = S.getProject();  // All the project data
+      this.functions = {};            // Maps a function name to what is needed to call its handler
       this.requests = {};             // Maps a request id to the request's state (done: bool, timeout: timer)
       this.envVars = {};              // Env vars are specific to each handler
+      this.envFunName = null;         // The function whose env vars are currently declared
+      this.envHolders = [];           // Ids of the in-process requests using the current env vars
+      this.envQueue = [];             // In-process requests waiting for their env vars to be declared
+      this.workerPool = createWorkerPool(this.processEnv); // Child processes used when handlers run out of process
+      this.runtimePool = createRuntimePool(this.processEnv); // Bootstrap processes of custom runtimes, with their Runtime API
+      this.authorizerCache = createAuthorizerCache(); // Custom authorizers' results, by identity
+      this.routes = {};               // Maps "METHOD path" to its endpoint, swapped on reloads
+      this.corsPaths = {};            // Maps a path to its endpoints' CORS config and methods, for preflight routes
+      this.registeredRoutes = {};     // The "METHOD path" Hapi routes, they cannot be removed
+      this.schedules = {};            // Maps "function-event" to its schedule and timer
+      this.s3Events = [];             // Functions' s3 events, to invoke on buckets' changes
+      this.snsTopics = {};            // Maps a topic name to its subscriptions
+      this.queues = {};               // Maps a queue name to its in-memory queue, kept across reloads
+      this.sqsEvents = [];            // Functions' sqs events, their queues are polled
+      this.pollingSqsEvents = {};     // The "function-event" sqs events whose function is handling a batch
+      this.streams = {};              // Maps a stream name to its records, kept across reloads
+      this.streamEvents = [];         // Functions' dynamodbstream and kinesisstream events, their streams are polled
+      this.streamPositions = {};      // Maps "function-event stream" to the index of the event's next record in its stream
+      this.pollingStreamEvents = {};  // The "function-event stream" stream events whose function is handling a batch
 
       // Methods
-      this._setOptions();     // Will create meaningful options from cli options
+      this._setOptions(userOptions); // Will create meaningful options from cli options
       this._registerBabel();  // Support for ES6
       this._createServer();   // Hapijs boot
       this._createRoutes();   // API  Gateway emulation
+      this._createInvokeRoute(); // Lambda API emulation
+      this._createSnsRoute(); // SNS emulation
+      this._createSqsRoutes(); // SQS emulation
+      this._createKinesisRoute(); // Kinesis emulation
       this._create404Route(); // Not found handling
-      this._listen();         // Hapijs listen
+      this._watchConfig();    // Hot reload
+      this._watchBuckets();   // S3 emulation
+      this._pollQueues();     // SQS emulation
+      this._pollStreams();    // DynamoDB Streams and Kinesis emulation
+
+      return this._listen()   // Hapijs listen
+        .then(() => this._runSchedulesOnInit()) // Scheduled events
+        .then(() => this);
+    }
+
+    // Closes the server and stops what the plugin started: watchers, timers, pollers and processes
+    stop() {
+
+      this.isStopped = true;
+
+      if (this.configWatcher) this.configWatcher.close();
+      (this.bucketPollers || []).forEach(poller => poller.close());
+      Object.keys(this.streams).forEach(streamName => this.streams[streamName].tailer.close());
+      Object.keys(this.schedules).forEach(key => clearTimeout(this.schedules[key].timer));
+      Object.keys(this.requests).forEach(requestId => clearTimeout(this.requests[requestId].timeout));
+      clearInterval(this.sqsTimer);
+      clearInterval(this.streamTimer);
+      this.workerPool.close();
+      this.runtimePool.close();
+
+      // The process may keep running (tests): it gets its env vars back
+      this._restoreEnvironment(Object.keys(this.envVars).concat('IS_OFFLINE'), this.originalEnv);
+      this.envVars = {};
+      this.envFunName = null;
+      this.envHolders = [];
+      this.envQueue = [];
+
+      return Promise.all([
+        new Promise(resolve => this.server.stop(resolve)),
+        new Promise(resolve => this.webpackResolver ? this.webpackResolver.close(resolve) : resolve()),
+      ]).then(() => serverlessLog('Offline stopped'));
     }
 
-    _setOptions() {
+    _setOptions(userOptions) {
 
-      if (!S.cli || !S.cli.options) throw new Error('Offline could not load options from Serverless');
+      if (!userOptions) throw new Error('Offline could not load options from Serverless');
 
-      const userOptions = S.cli.options;
       const stages = this.project.stages;
       const stagesKeys = Object.keys(stages);
+      const port = parseInt(userOptions.port, 10);
 
       if (!stagesKeys.length) {
-        serverlessLog('Offline could not find a default stage for your project: it looks like your _meta folder is empty. If you cloned your project using git, try "sls project init" to recreate your _meta folder');
-        process.exit(0);
+        throw new Error('Offline could not find a default stage for your project: it looks like your _meta folder is empty. If you cloned your project using git, try "sls project init" to recreate your _meta folder');
       }
 
       // Applies defaults
       this.options = {
-        port: userOptions.port || 3000,
+        port: isNaN(port) ? 3000 : port, // 0 for a random one
         prefix: userOptions.prefix || '/',
         stage: userOptions.stage || stagesKeys[0],
         noTimeout: userOptions.noTimeout || false,
         httpsProtocol: userOptions.httpsProtocol || '',
         skipCacheInvalidation: userOptions.skipCacheInvalidation || false,
+        useChildProcesses: userOptions.useChildProcesses || false,
+        noAuthorizerCache: userOptions.noAuthorizerCache || false,
+        strictVelocity: userOptions.strictVelocity || false,
+        runSchedulesOnInit: !!userOptions.runSchedulesOnInit,
       };
 
-      const stageVariables = stages[this.options.stage];
-      this.options.region = userOptions.region || Object.keys(stageVariables.regions)[0];
+      const stage = stages[this.options.stage];
+      this.options.region = userOptions.region || Object.keys(stage.regions)[0];
 
       // Prefix must start and end with '/'
       if (!this.options.prefix.startsWith('/')) this.options.prefix = '/' + this.options.prefix;
       if (!this.options.prefix.endsWith('/')) this.options.prefix += '/';
 
-      this.globalBabelOptions = ((this.project.custom || {})['serverless-offline'] || {}).babelOptions;
+      const customOptions = (this.project.custom || {})['serverless-offline'] || {};
+
+      this.globalBabelOptions = customOptions.babelOptions;
+      this.models = customOptions.models; // JSON schemas for requestModels
+
+      this._setApiKeys(userOptions.apiKeys || customOptions.apiKeys, customOptions.usagePlan);
+      this._setBuckets(userOptions.s3Buckets, customOptions.s3Buckets);
+      this._setQueues(customOptions.sqsQueues);
+      this._setStreamsDirectory(userOptions.streamsDirectory, customOptions.streamsDirectory);
 
       this.velocityContextOptions = {
-        stageVariables,
+        stageVariables: this._getStageVariables(stage),
         stage: this.options.stage,
+        binaryMediaTypes: customOptions.binaryMediaTypes || [], // Like APIG's, supports wildcards: "image/*"
+        strictVelocity: this.options.strictVelocity,
+        prefix: this.options.prefix,
+        identity: customOptions.identity, // Overrides $context.identity fields
       };
 
       serverlessLog(`Starting Offline: ${this.options.stage}/${this.options.region}.`);
@@ -180,12 +334,102 @@ module.exports = S => {
       debugLog('globalBabelOptions:', this.globalBabelOptions);
     }
 
-    _registerBabel(isBabelRuntime, babelRuntimeOptions) {
+    // The stage's variables, without Serverless' private properties, or null like APIG when there are none
+    _getStageVariables(stage) {
+
+      const variables = typeof stage.getVariables === 'function' ? stage.getVariables() : stage.variables;
+      const stageVariables = {};
+
+      Object.keys(variables || {}).filter(key => !key.startsWith('_')).forEach(key => {
+        stageVariables[key] = variables[key];
+      });
+
+      return Object.keys(stageVariables).length ? stageVariables : null;
+    }
+
+    // API keys are only enforced when some are given (or asked to be generated)
+    _setApiKeys(apiKeys, usagePlan) {
+
+      if (!apiKeys) return;
+
+      this.apiKeys = typeof apiKeys === 'string' ? apiKeys.split(',').map(x => x.trim()).filter(x => x) :
+        Array.isArray(apiKeys) ? apiKeys : [];
+
+      if (!this.apiKeys.length) this.apiKeys.push(crypto.randomBytes(30).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, 40));
+
+      this.usagePlan = createUsagePlan(usagePlan);
+
+      this.apiKeys.forEach(apiKey => serverlessLog(`Key with token: ${apiKey}`));
+    }
+
+    // "bucket=directory,other=directory" from the cli, or { bucket: directory } from the config, relative to the cwd
+    _setBuckets(cliBuckets, configBuckets) {
+
+      const buckets = {};
+
+      if (typeof cliBuckets === 'string') {
+        cliBuckets.split(',').filter(mapping => mapping.indexOf('=') !== -1).forEach(mapping => {
+          buckets[mapping.slice(0, mapping.indexOf('=')).trim()] = mapping.slice(mapping.indexOf('=') + 1).trim();
+        });
+      }
+      else if (isPlainObject(configBuckets)) Object.assign(buckets, configBuckets);
+
+      this.buckets = _.mapValues(buckets, directory => path.resolve(directory));
+    }
+
+    // { queue: { visibilityTimeout, deadLetterQueue, maxReceiveCount } } from the config, sqs events create the other queues
+    _setQueues(configQueues) {
+
+      this.queueOptions = isPlainObject(configQueues) ? configQueues : {};
+
+      Object.keys(this.queueOptions).forEach(queueName => {
+        const options = this.queueOptions[queueName] || {};
+
+        if (options.deadLetterQueue && !(options.maxReceiveCount >= 1)) {
+          throw new Error(`Error: queue ${queueName} needs a maxReceiveCount of 1 or more to use a deadLetterQueue`);
+        }
+
+        this._createQueue(queueName);
+      });
+    }
+
+    // Queues keep their messages across reloads
+    _createQueue(queueName) {
+
+      if (this.queues[queueName]) return this.queues[queueName];
+
+      const options = this.queueOptions[queueName] || {};
+      const attributes = {
+        visibilityTimeout: options.visibilityTimeout === undefined ? 30 : Number(options.visibilityTimeout),
+        maxReceiveCount: Number(options.maxReceiveCount),
+      };
+
+      const queue = this.queues[queueName] = createQueue(queueName, attributes, message => {
+        serverlessLog(`SQS message ${message.messageId} moved from ${queueName} to ${attributes.deadLetterQueue.name} after ${message.receiveCount} receives`);
+      });
+
+      // Once the queue exists, it can be its own dead-letter queue
+      if (options.deadLetterQueue) attributes.deadLetterQueue = this._createQueue(String(options.deadLetterQueue).split(':').pop());
+
+      return queue;
+    }
+
+    // Relative to the cwd
+    _setStreamsDirectory(cliDirectory, configDirectory) {
+      this.streamsDirectory = path.resolve(cliDirectory || configDirectory || 'streams');
+    }
+
+    _getBabelOptions(isBabelRuntime, babelRuntimeOptions) {
 
       // Babel options can vary from handler to handler just like env vars
-      const options = isBabelRuntime ?
+      return isBabelRuntime ?
         babelRuntimeOptions || { presets: ['es2015'] } :
         this.globalBabelOptions;
+    }
+
+    _registerBabel(isBabelRuntime, babelRuntimeOptions) {
+
+      const options = this._getBabelOptions(isBabelRuntime, babelRuntimeOptions);
 
       if (options) {
         debugLog('Setting babel register:', options);
@@ -225,25 +469,69 @@ module.exports = S => {
       this.server.connection(connectionOptions);
     }
 
+    // API Gateway and CloudWatch Events emulation, invalid configurations throw
     _createRoutes() {
-      const functions = this.project.getAllFunctions();
-      const defaultContentType = 'application/json';
 
-      functions.forEach(fun => {
+      const table = this._loadRoutes(this.project);
+
+      this._swapRoutes(table);
+      this._swapSchedules(table.schedules);
+
+      Object.keys(this.functions).forEach(funName => {
+        console.log();
+        serverlessLog(`Routes for ${funName}:`);
+
+        Object.keys(this.routes)
+          .filter(key => this.routes[key].funName === funName)
+          .forEach(key => serverlessLog(key));
+
+        const scheduleKeys = Object.keys(this.schedules).filter(key => this.schedules[key].funName === funName);
+
+        if (scheduleKeys.length) serverlessLog(`Schedules for ${funName}:`);
+        scheduleKeys.forEach(key => serverlessLog(`${this.schedules[key].name}: ${this.schedules[key].expression}`));
+      });
+    }
+
+    // Reads the project's functions, endpoints and schedules, throws on invalid configurations
+    _loadRoutes(project) {
+
+      const functions = {}; // Maps a function name to what is needed to call its handler
+      const routes = {};    // Maps "METHOD path" to its endpoint
+      const corsPaths = {}; // Maps a path to its endpoints' CORS config and methods, for preflight routes
+      const schedules = {}; // Maps "function-event" to its schedule
+      const s3Events = [];  // Buckets' subscriptions
+      const snsTopics = {}; // Maps a topic name to its subscriptions
+      const sqsEvents = []; // Queues' subscriptions
+      const streamEvents = []; // Streams' subscriptions
+
+      project.getAllFunctions().forEach(fun => {
 
         // Runtime checks
-        // No python or Java :'(
+        // No Java :'(
         const funRuntime = fun.runtime;
-        if (['nodejs', 'nodejs4.3', 'babel'].indexOf(funRuntime) === -1) {
+        if (['nodejs', 'nodejs4.3', 'babel', 'python2.7', 'provided'].indexOf(funRuntime) === -1) {
           console.log();
           serverlessLog(`Warning: found unsupported runtime '${funRuntime}' for function '${fun.name}'`);
           return;
         }
 
+        // Custom runtimes run the function's bootstrap executable
+        const bootstrapPath = fun.getRootPath('bootstrap');
+        if (funRuntime === 'provided' && !fs.existsSync(bootstrapPath)) {
+          console.log();
+          serverlessLog(`Warning: function '${fun.name}' has the 'provided' runtime but no bootstrap file (${bootstrapPath})`);
+          return;
+        }
+
         // Check for webpack
-        const useWebpack = /node/.test(funRuntime) && _.get(this.project,'custom.webpack');
+        const useWebpack = /node/.test(funRuntime) && _.get(project,'custom.webpack');
         if (useWebpack) {
           this.getWebpackRuntime();
+
+          // Bundles are compiled in memory, child processes could not require them
+          if (this.options.useChildProcesses) {
+            serverlessLog(`Warning: --useChildProcesses is ignored for '${fun.name}': webpack bundles can only run in the plugin process`);
+          }
         }
 
         // Templates population (with project variables)
@@ -255,8 +543,7 @@ module.exports = S => {
           });
         }
         catch(err) {
-          serverlessLog(`Error while populating function '${fun.name}' with stage '${this.options.stage}' and region '${this.options.region}':`);
-          this._logAndExit(err.stack);
+          throw new Error(`Error while populating function '${fun.name}' with stage '${this.options.stage}' and region '${this.options.region}':\n${err.stack}`);
         }
 
         const funName = fun.name;
@@ -264,418 +551,2030 @@ module.exports = S => {
         const handlerPath = fun.getRootPath(handlerParts[0]);
         const funTimeout = fun.timeout ? fun.timeout * 1000 : 6000;
         const funBabelOptions = ((fun.custom || {}).runtime || {}).babel;
+        const funEnvironment = isPlainObject(populatedFun.environment) ? populatedFun.environment : {};
+
+        // Everything needed to call the handler, from a route or from elsewhere
+        functions[funName] = {
+          fun,
+          populatedFun,
+          funRuntime,
+          useWebpack,
+          handlerPath,
+          handlerName: handlerParts[1],
+          bootstrapPath,
+          funTimeout,
+          funBabelOptions,
+          funEnvironment,
+        };
 
-        console.log();
         debugLog(funName, 'runtime', funRuntime, funBabelOptions || '');
-        serverlessLog(`Routes for ${funName}:`);
 
-        // Adds a route for each endpoint
         populatedFun.endpoints.forEach(endpoint => {
 
-          let firstCall = true;
-
           const epath = endpoint.path;
           const method = endpoint.method.toUpperCase();
-          const requestTemplates = endpoint.requestTemplates;
+          const resource = epath.startsWith('/') ? epath : '/' + epath;
 
           // Prefix must start and end with '/' BUT path must not end with '/'
           let path = this.options.prefix + (epath.startsWith('/') ? epath.slice(1) : epath);
           if (path !== '/' && path.endsWith('/')) path = path.slice(0, -1);
 
-          serverlessLog(`${method} ${path}`);
+          const key = `${method} ${path}`;
+
+          if (routes[key]) throw new Error(`Error: ${key} is defined by both '${routes[key].funName}' and '${funName}'`);
+
+          // Request bodies are validated against the endpoint's models
+          let requestValidators;
+          try {
+            requestValidators = createRequestValidators(endpoint.requestModels, this.models);
+          }
+          catch (err) {
+            throw new Error(`Error in requestModels for ${key}: ${err.message}`);
+          }
+
+          // Like APIG at deployment, invalid responseParameters are fatal
+          for (let responseName in endpoint.responses) {
+            const errors = validateResponseParameters(endpoint.responses[responseName].responseParameters);
+
+            if (errors.length) {
+              throw new Error(errors.map(error => `Error in responseParameters of '${responseName}' response for ${key}: ${error}`).join('\n'));
+            }
+          }
 
-          // Route configuration
-          const config = { cors: true };
+          // Like APIG, endpoints without cors configuration do not allow cross-origin requests
+          if (endpoint.cors) {
+            const corsPath = corsPaths[path] = corsPaths[path] || { cors: endpoint.cors, methods: [] };
+            corsPath.methods.push(method);
+          }
 
-          this.server.route({
+          routes[key] = {
+            funName,
+            endpoint,
             method,
             path,
-            config,
-            handler: (request, reply) => { // Here we go
-              console.log();
-              serverlessLog(`${method} ${request.url.path} (λ: ${funName})`);
-              if (firstCall) {
-                serverlessLog('The first request might take a few extra seconds');
-                firstCall = false;
-              }
+            resource,
+            requestTemplates: endpoint.requestTemplates || {},
+            requestValidators,
+            isLambdaProxy: endpoint.type === 'AWS_PROXY', // The handler gets the whole request and builds the whole response
+          };
+        });
+
+        // Like a deployment, schedules without "enabled": true are disabled
+        (populatedFun.events || []).filter(event => event.type === 'schedule').forEach(event => {
 
-              // Shared mutable state is the root of all evil they say
-              const requestId = Math.random().toString().slice(2);
-              this.requests[requestId] = { done: false };
-              this.currentRequestId = requestId;
+          const config = event.config || {};
+          const key = `${funName}-${event.name}`;
 
-              // Holds the response to do async op
-              const response = reply.response().hold();
-              const contentType = request.mime || defaultContentType;
-              const requestTemplate = requestTemplates[contentType];
+          if (!config.enabled) return debugLog(`Schedule ${key} is disabled`);
 
-              debugLog('requestId:', requestId);
-              debugLog('contentType:', contentType);
-              debugLog('requestTemplate:', requestTemplate);
-              debugLog('payload:', request.payload);
+          let getNextTime;
+          try {
+            getNextTime = parseScheduleExpression(config.schedule);
+          }
+          catch (err) {
+            throw new Error(`Error in schedule '${event.name}' of ${funName}: ${err.message}`);
+          }
 
-              /* ENVIRONMENT VARIABLES DECLARATION */
+          schedules[key] = {
+            key,
+            funName,
+            name: event.name,
+            expression: config.schedule,
+            input: config.input, // Replaces the Scheduled Event
+            getNextTime,
+          };
+        });
 
-              // Clears old vars
-              for (let key in this.envVars) {
-                delete process.env[key];
-              }
+        (populatedFun.events || []).filter(event => event.type === 's3').forEach(event => {
 
-              // Declares new ones
-              this.envVars = isPlainObject(populatedFun.environment) ? populatedFun.environment : {};
-              for (let key in this.envVars) {
-                process.env[key] = this.envVars[key];
-              }
+          const config = event.config || {};
+
+          s3Events.push({
+            funName,
+            name: event.name,
+            bucket: config.bucket,
+            bucketEvents: config.bucketEvents || [],
+            filterRules: config.filterRules || [], // [{ name: 'prefix', value: 'images/' }, { name: 'suffix', value: '.jpg' }]
+          });
+        });
 
-              /* BABEL CONFIGURATION */
-
-              this._registerBabel(funRuntime === 'babel', funBabelOptions);
-
-              /* HANDLER LAZY LOADING */
-
-              const getHandler = () => {
-                if (useWebpack) {
-                  return this.webpackResolver.resolve(funName).then(handler => {
-                    return handler[handlerParts[1]]
-                  })
-                } else {
-                  try {
-                    if (!this.options.skipCacheInvalidation) {
-                      debugLog('Invalidating cache...');
-
-                      for (let key in require.cache) {
-                        // Require cache invalidation, brutal and fragile.
-                        // Might cause errors, if so please submit an issue.
-                        if (!key.match('node_modules'))
-                          delete require.cache[key];
-                      }
-                    }
+        (populatedFun.events || []).filter(event => event.type === 'sns').forEach(event => {
 
-                    debugLog(`Loading handler... (${handlerPath})`);
-                    let handler = require(handlerPath)[handlerParts[1]];
-                    if (typeof handler !== 'function')
-                      throw new Error(`Serverless-offline: handler for '${funName}' is not a function`);
+          const config = event.config || {};
+          const topicName = String(config.topic || config.topicName).split(':').pop(); // The topic can be an ARN
 
-                    return Promise.resolve(handler);
-                  }
-                  catch(err) {
-                    console.error('failed to get handler', err);
-                    return Promise.reject(err);
-                  }
-                }
-              };
+          snsTopics[topicName] = snsTopics[topicName] || [];
+          snsTopics[topicName].push({
+            funName,
+            name: event.name,
+            filterPolicy: config.filterPolicy,
+          });
+        });
+
+        // Like Lambda's event source mappings, sqs events are enabled by default
+        (populatedFun.events || []).filter(event => event.type === 'sqs').forEach(event => {
+
+          const config = event.config || {};
+          const key = `${funName}-${event.name}`;
+          const batchSize = config.batchSize === undefined ? 10 : Number(config.batchSize);
+
+          if (config.enabled === false) return debugLog(`SQS event ${key} is disabled`);
+
+          if (!(batchSize >= 1 && batchSize <= 10)) throw new Error(`Error in sqs event '${event.name}' of ${funName}: batchSize must be between 1 and 10`);
+
+          sqsEvents.push({
+            key,
+            funName,
+            name: event.name,
+            queueName: String(config.queue || config.queueName).split(':').pop(), // The queue can be an ARN
+            batchSize,
+          });
+        });
+
+        (populatedFun.events || []).filter(event => event.type === 'dynamodbstream' || event.type === 'kinesisstream').forEach(event => {
 
-              getHandler().then(handler => {
-                serverlessLog(`Got handler - keys ${Object.keys(handler)}`);
-                /* REQUEST TEMPLATE PROCESSING (event population) */
+          const config = event.config || {};
+          const key = `${funName}-${event.name}`;
+          const streamType = event.type === 'dynamodbstream' ? 'dynamodb' : 'kinesis';
+          const batchSize = config.batchSize === undefined ? 100 : Number(config.batchSize);
+          const startingPosition = config.startingPosition || 'TRIM_HORIZON';
 
-                let event = {};
+          // "arn:aws:dynamodb:region:account:table/name/stream/label", "arn:aws:kinesis:region:account:stream/name", or a name
+          const arnMatch = /:(?:table|stream)\/([^/]+)/.exec(config.streamArn);
+          const streamName = arnMatch ? arnMatch[1] : String(config.streamArn);
 
-                if (requestTemplate) {
-                  try {
-                    debugLog('_____ REQUEST TEMPLATE PROCESSING _____');
-                    // Velocity templating language parsing
-                    const velocityContext = createVelocityContext(request, this.velocityContextOptions, request.payload || {});
-                    event = renderVelocityTemplateObject(requestTemplate, velocityContext);
-                  }
-                  catch (err) {
-                    return this._reply500(response, `Error while parsing template "${contentType}" for ${funName}`, err, requestId);
-                  }
-                }
-
-                event.isOffline = true;
-                debugLog('event:', event);
-
-                // We create the context, its callback (context.done/succeed/fail) will send the HTTP response
-                const lambdaContext = createLambdaContext(fun, (err, data) => {
-                  // Everything in this block happens once the lambda function has resolved
-                  debugLog('_____ HANDLER RESOLVED _____');
-
-                  // Timeout clearing if needed
-                  if (this._clearTimeout(requestId)) return;
-
-                  // User should not call context.done twice
-                  if (this.requests[requestId].done) {
-                    console.log();
-                    serverlessLog(`Warning: context.done called twice within handler '${funName}'!`);
-                    debugLog('requestId:', requestId);
-                    return;
-                  }
-
-                  this.requests[requestId].done = true;
-
-                  let result = data;
-                  let responseName = 'default';
-                  let responseContentType = defaultContentType;
-
-                  /* RESPONSE SELECTION (among endpoint's possible responses) */
-
-                  // Failure handling
-                  if (err) {
+          if (config.enabled === false) return debugLog(`Stream event ${key} is disabled`);
 
-                    const errorMessage = (err.message || err).toString();
+          if (!(batchSize >= 1 && batchSize <= 10000)) throw new Error(`Error in stream event '${event.name}' of ${funName}: batchSize must be between 1 and 10000`);
 
-                    // Mocks Lambda errors
-                    result = {
-                      errorMessage,
-                      errorType: err.constructor.name,
-                      stackTrace: this._getArrayStackTrace(err.stack)
-                    };
-
-                    serverlessLog(`Failure: ${errorMessage}`);
-                    if (result.stackTrace) console.log(result.stackTrace.join('\n  '));
-
-                    for (let key in endpoint.responses) {
-                      if (key === 'default') continue;
-
-                      if (errorMessage.match('^' + (endpoint.responses[key].selectionPattern || key) + '$')) {
-                        responseName = key;
-                        break;
-                      }
-                    }
-                  }
-
-                  debugLog(`Using response '${responseName}'`);
-
-                  const chosenResponse = endpoint.responses[responseName];
-
-                  /* RESPONSE PARAMETERS PROCCESSING */
-
-                  const responseParameters = chosenResponse.responseParameters;
-
-                  if (isPlainObject(responseParameters)) {
-
-                    const responseParametersKeys = Object.keys(responseParameters);
-
-                    debugLog('_____ RESPONSE PARAMETERS PROCCESSING _____');
-                    debugLog(`Found ${responseParametersKeys.length} responseParameters for '${responseName}' response`);
-
-                    responseParametersKeys.forEach(key => {
-
-                      // responseParameters use the following shape: "key": "value"
-                      const value = responseParameters[key];
-                      const keyArray = key.split('.'); // eg: "method.response.header.location"
-                      const valueArray = value.split('.'); // eg: "integration.response.body.redirect.url"
-
-                      debugLog(`Processing responseParameter "${key}": "${value}"`);
-
-                      // For now the plugin only supports modifying headers
-                      if (key.startsWith('method.response.header') && keyArray[3]) {
-
-                        const headerName = keyArray.slice(3).join('.');
-                        let headerValue;
-                        debugLog('Found header in left-hand:', headerName);
-
-                        if (value.startsWith('integration.response')) {
-                          if (valueArray[2] === 'body') {
-
-                            debugLog('Found body in right-hand');
-                            headerValue = JSON.stringify(valueArray[3] ? jsonPath(result, valueArray.slice(3).join('.')) : result);
-
-                          } else {
-                            console.log();
-                            serverlessLog(`Warning: while processing responseParameter "${key}": "${value}"`);
-                            serverlessLog(`Offline plugin only supports "integration.response.body[.JSON_path]" right-hand responseParameter. Found "${value}" instead. Skipping.`);
-                            logPluginIssue();
-                            console.log();
-                          }
-                        } else {
-                          headerValue = value;
-                        }
-                        // Applies the header;
-                        debugLog(`Will assign "${headerValue}" to header "${headerName}"`);
-                        response.header(headerName, headerValue);
-                      }
-                      else {
-                        console.log();
-                        serverlessLog(`Warning: while processing responseParameter "${key}": "${value}"`);
-                        serverlessLog(`Offline plugin only supports "method.response.header.PARAM_NAME" left-hand responseParameter. Found "${key}" instead. Skipping.`);
-                        logPluginIssue();
-                        console.log();
-                      }
-                    });
-                  }
-
-                  /* RESPONSE TEMPLATE PROCCESSING */
-
-                  // If there is a responseTemplate, we apply it to the result
-                  const responseTemplates = chosenResponse.responseTemplates;
+          if (['TRIM_HORIZON', 'LATEST'].indexOf(startingPosition) === -1) {
+            throw new Error(`Error in stream event '${event.name}' of ${funName}: startingPosition must be TRIM_HORIZON or LATEST`);
+          }
 
-                  if (isPlainObject(responseTemplates)) {
-
-                    const responseTemplatesKeys = Object.keys(responseTemplates);
-
-                    if (responseTemplatesKeys.length) {
-
-                      // BAD IMPLEMENTATION: first key in responseTemplates
-                      const templateName = responseTemplatesKeys[0];
-                      const responseTemplate = responseTemplates[templateName];
-
-                      responseContentType = templateName;
-
-                      if (responseTemplate) {
-
-                        debugLog('_____ RESPONSE TEMPLATE PROCCESSING _____');
-                        debugLog(`Using responseTemplate '${templateName}'`);
-
-                        try {
-                          const reponseContext = createVelocityContext(request, this.velocityContextOptions, result);
-                          result = renderVelocityTemplateObject({ root: responseTemplate }, reponseContext).root;
-                        }
-                        catch (err) {
-                          serverlessLog(`Error while parsing responseTemplate '${templateName}' for lambda ${funName}:`);
-                          console.log(err.stack);
-                        }
-                      }
-                    }
-                  }
-
-                  /* HAPIJS RESPONSE CONFIGURATION */
-
-                  const statusCode = chosenResponse.statusCode || 200;
-                  if (!chosenResponse.statusCode) {
-                    console.log();
-                    serverlessLog(`Warning: No statusCode found for response "${responseName}".`);
-                  }
-
-                  response.header('Content-Type', responseContentType);
-                  response.statusCode = statusCode;
-                  response.source = result;
-
-                  // Log response
-                  let whatToLog = result;
-
-                  try {
-                    whatToLog = JSON.stringify(result);
-                  }
-                  catch(err) {
-                    // nothing
-                  }
-                  finally {
-                    serverlessLog(err ? `Replying ${statusCode}` : `[${statusCode}] ${whatToLog}`);
-                    debugLog('requestId:', requestId);
-                  }
-
-                  // Bon voyage!
-                  response.send();
-                });
-
-                // Now we are outside of createLambdaContext, so this happens before the handler gets called:
-
-                // We cannot use Hapijs's timeout feature because the logic above can take a significant time, so we implement it ourselves
-                this.requests[requestId].timeout = this.options.noTimeout ?
-                    undefined :
-                    setTimeout(this._replyTimeout.bind(this, response, funName, funTimeout, requestId), funTimeout);
-
-                // Finally we call the handler
-                debugLog('_____ CALLING HANDLER _____');
-                try {
-                  const x = handler(event, lambdaContext, lambdaContext.done);
-
-                  // Promise support
-                  if (funRuntime === 'babel' && !this.requests[requestId].done) {
-                    if (x && typeof x.then === 'function' && typeof x.catch === 'function') x
-                        .then(lambdaContext.succeed)
-                        .catch(lambdaContext.fail);
-                    else if (x instanceof Error) lambdaContext.fail(x);
-                    else lambdaContext.succeed(x);
-                  }
-                }
-                catch(err) {
-                  return this._reply500(response, `Uncaught error in your '${funName}' handler`, err, requestId);
-                }
-              }).catch(err => {
-                return this._reply500(response, `Error while loading ${funName}`, err, requestId);
-              });
-
-
-
-            },
+          streamEvents.push({
+            key,
+            funName,
+            name: event.name,
+            streamType,
+            streamName,
+            streamArn: arnMatch ? config.streamArn : streamType === 'dynamodb' ?
+              `arn:aws:dynamodb:${this.options.region}:offlineContext_accountId:table/${streamName}/stream/offline` :
+              `arn:aws:kinesis:${this.options.region}:offlineContext_accountId:stream/${streamName}`,
+            batchSize,
+            startingPosition,
           });
         });
       });
+
+      return { functions, routes, corsPaths, schedules, s3Events, snsTopics, sqsEvents, streamEvents };
     }
 
-    // All done, we can listen to incomming requests
-    _listen() {
-      this.server.start(err => {
-        if (err) throw err;
-        console.log();
-        serverlessLog(`Offline listening on http${this.options.httpsProtocol ? 's' : ''}://localhost:${this.options.port}`);
+    // Atomic swap: the next requests and events use the new table, in-flight ones keep their endpoint
+    _swapRoutes(table) {
+
+      this.functions = table.functions;
+      this.routes = table.routes;
+      this.corsPaths = table.corsPaths;
+      this.s3Events = table.s3Events;
+      this.snsTopics = table.snsTopics;
+      this.sqsEvents = table.sqsEvents;
+
+      this.sqsEvents.forEach(sqsEvent => this._createQueue(sqsEvent.queueName));
+      this._swapStreamEvents(table.streamEvents);
+
+      const keys = Object.keys(this.routes).concat(Object.keys(this.corsPaths).map(path => `OPTIONS ${path}`));
+
+      keys.forEach(key => {
+        try {
+          this._registerRoute(key);
+        }
+        catch (err) {
+          // Hapi refuses paths that only differ by their params' names
+          console.log();
+          serverlessLog(`Warning: could not create route ${key}, restarting the plugin might help: ${err.message}`);
+          delete this.routes[key];
+        }
       });
     }
 
-    // Bad news
-    _reply500(response, message, err, requestId) {
+    // Unchanged schedules keep their timers
+    _swapSchedules(schedules) {
 
-      if (this._clearTimeout(requestId)) return;
+      Object.keys(this.schedules).forEach(key => {
+        const previous = this.schedules[key];
+        const next = schedules[key];
 
-      this.requests[requestId].done = true;
+        if (next && next.expression === previous.expression && _.isEqual(next.input, previous.input)) schedules[key] = previous;
+        else clearTimeout(previous.timer);
+      });
 
-      const stackTrace = this._getArrayStackTrace(err.stack);
+      this.schedules = schedules;
 
-      serverlessLog(message);
-      console.log(stackTrace || err);
+      Object.keys(schedules).forEach(key => {
+        if (!schedules[key].timer) this._setScheduleTimer(schedules[key]);
+      });
+    }
 
-      response.statusCode = 200; // APIG replies 200 by default on failures
-      response.source = {
-        errorMessage: message,
-        errorType: err.constructor.name,
-        stackTrace,
-        offlineInfo: 'If you believe this is an issue with the plugin please submit it, thanks. https://github.com/dherault/serverless-offline/issues',
-      };
-      serverlessLog(`Replying error in handler`);
-      response.send();
+    _setScheduleTimer(schedule) {
+
+      const now = Date.now();
+      let nextTime = schedule.getNextTime(schedule.time || now);
+
+      // The process may have been suspended
+      if (nextTime < now) nextTime = schedule.getNextTime(now);
+
+      if (nextTime === Infinity) return debugLog(`Schedule ${schedule.key} is over`);
+
+      // setTimeout delays are 32-bit integers, long ones take several timers
+      schedule.timer = setTimeout(() => {
+        if (Date.now() < nextTime) return this._setScheduleTimer(schedule);
+
+        schedule.time = nextTime;
+        this._setScheduleTimer(schedule);
+        this._invokeSchedule(schedule, nextTime);
+      }, Math.min(nextTime - now, 0x7FFFFFFF));
     }
 
-    _replyTimeout(response, funName, funTimeout, requestId) {
-      if (this.currentRequestId !== requestId) return;
+    _runSchedulesOnInit() {
+      if (!this.options.runSchedulesOnInit) return;
 
-      this.requests[requestId].done = true;
+      Object.keys(this.schedules).forEach(key => this._invokeSchedule(this.schedules[key], Date.now()));
+    }
 
-      serverlessLog(`Replying timeout after ${funTimeout}ms`);
-      response.statusCode = 503;
-      response.source = `[Serverless-Offline] Your λ handler '${funName}' timed out after ${funTimeout}ms.`;
-      response.send();
+    // The handler gets CloudWatch Events' Scheduled Event, or the schedule's input
+    _invokeSchedule(schedule, time) {
+
+      const requestId = Math.random().toString().slice(2);
+      const funName = schedule.funName;
+      const region = this.options.region;
+      const ruleName = `${this.project.name}-${schedule.key}-${this.options.stage}`;
+
+      const event = schedule.input !== undefined ? _.cloneDeep(schedule.input) : {
+        version: '0',
+        id: 'offlineContext_eventId_' + requestId,
+        'detail-type': 'Scheduled Event',
+        source: 'aws.events',
+        account: 'offlineContext_accountId',
+        time: new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        region,
+        resources: [`arn:aws:events:${region}:offlineContext_accountId:rule/${ruleName}`],
+        detail: {},
+      };
+
+      if (isPlainObject(event)) event.isOffline = true;
+
+      console.log();
+      serverlessLog(`Schedule ${schedule.name}: ${schedule.expression} (λ: ${funName})`);
+      debugLog('requestId:', requestId);
+      debugLog('event:', event);
+
+      this._invokeFunction(requestId, funName, event, (err, data) => this._logInvocationResult(err, data));
     }
 
-    _clearTimeout(requestId) {
-      const timeout = this.requests[requestId].timeout;
-      if (timeout && timeout._called) return true;
-      else clearTimeout(timeout);
+    // Invocations that do not come from HTTP requests are only logged
+    _logInvocationResult(err, data) {
+
+      if (!err) return serverlessLog(`Result: ${JSON.stringify(data)}`);
+
+      if (err.offlineMessage) serverlessLog(err.offlineMessage);
+      serverlessLog(`Failure: ${(err.message || err).toString()}`);
+
+      const stackTrace = !err.isTimeout && this._getArrayStackTrace(err.stack);
+      if (stackTrace) console.log(stackTrace.join('\n  '));
     }
 
-    _create404Route() {
+    // Hapi routes cannot be removed: each one looks up its endpoint in the current table
+    _registerRoute(key) {
+
+      if (this.registeredRoutes[key]) return;
+
+      const method = key.split(' ')[0];
+      const path = key.slice(method.length + 1);
+
+      // Route configuration, CORS is handled per endpoint
+      const config = { cors: false };
+
+      // Like APIG, we parse the raw body ourselves: Hapi would reject binary media types
+      // APIG accepts payloads up to 10 MB, Hapi's default is 1 MB
+      if (method !== 'GET' && method !== 'HEAD') config.payload = { parse: false, maxBytes: 10 * 1024 * 1024 };
+
       this.server.route({
-        method: '*',
-        path: '/{p*}',
-        config: { cors: true },
+        method,
+        path,
+        config,
         handler: (request, reply) => {
-          const response = reply({
-            statusCode: 404,
-            error: 'Serverless-offline: route not found.',
-            currentRoute: `${request.method} - ${request.path}`,
-            existingRoutes: this.server.table()[0].table
-              .filter(route => route.path !== '/{p*}') // Exclude this (404) route
-              .sort((a, b) => a.path <= b.path ? -1 : 1) // Sort by path
-              .map(route => `${route.method} - ${route.path}`), // Human-friendly result
-          });
-          response.statusCode = 404;
-        }
+          const route = this.routes[key];
+          if (route) return this._handleRoute(route, request, reply);
+
+          // APIG generates an OPTIONS method for each path with CORS enabled, unless one is defined
+          const corsPath = method === 'OPTIONS' && this.corsPaths[path];
+          if (corsPath) return this._setCorsHeaders(request, reply().type('application/json'), corsPath.cors, corsPath.methods.concat('OPTIONS'));
+
+          // Removed by a reload
+          this._replyNotFound(request, reply);
+        },
       });
+
+      debugLog(`Created route ${key}`);
+      this.registeredRoutes[key] = true;
     }
 
-    _getArrayStackTrace(stack) {
-      if (!stack) return null;
+    // Here we go
+    _handleRoute(route, request, reply) {
 
-      const splittedStack = stack.split('\n');
+      const funName = route.funName;
+      const endpoint = route.endpoint;
+      const method = route.method;
+      const resource = route.resource;
+      const isLambdaProxy = route.isLambdaProxy;
+      const requestValidators = route.requestValidators;
+      const funTimeout = this.functions[funName].funTimeout;
+      const defaultContentType = 'application/json';
 
-      return splittedStack.slice(0, splittedStack.findIndex(item => item.match(/server.route.handler.createLambdaContext/))).map(line => line.trim());
+      console.log();
+      serverlessLog(`${method} ${request.url.path} (λ: ${funName})`);
+      if (!route.isCalled) {
+        serverlessLog('The first request might take a few extra seconds');
+        route.isCalled = true;
+      }
+
+      // Shared mutable state is the root of all evil they say
+      const requestId = Math.random().toString().slice(2);
+
+      // Holds the response to do async op
+      const response = reply.response().hold();
+      const contentType = request.mime || defaultContentType;
+      const requestTemplate = route.requestTemplates[contentType];
+
+      debugLog('requestId:', requestId);
+      debugLog('contentType:', contentType);
+      debugLog('requestTemplate:', requestTemplate);
+      debugLog('payload:', request.payload);
+
+      /* CUSTOM AUTHORIZER */
+
+      // The authorizer may reply 401 or 403 instead of the handler
+      const authorization = endpoint.authorizationType === 'CUSTOM' ?
+        this._authorize(request, response, endpoint, resource) :
+        Promise.resolve(true);
+
+      authorization.then(isAuthorized => {
+        if (!isAuthorized) return;
+
+        /* API KEY AND USAGE PLAN */
+
+        if (endpoint.apiKeyRequired && !this._checkApiKey(request, response)) return;
+
+        /* REQUEST PARAMETERS */
+
+        if (!this._processRequestParameters(request, response, endpoint, isLambdaProxy)) return;
+
+        /* REQUEST BODY VALIDATION */
+
+        if (!this._validateRequestBody(request, response, requestValidators[contentType], contentType)) return;
+
+        /* REQUEST TEMPLATE PROCESSING (event population) */
+
+        let event = {};
+
+        if (isLambdaProxy) {
+          debugLog('_____ LAMBDA PROXY EVENT CREATION _____');
+          event = createLambdaProxyEvent(request, this.velocityContextOptions, resource);
+        }
+        else if (requestTemplate) {
+          let payload;
+
+          try {
+            payload = parseRequestPayload(request.payload, contentType, this.velocityContextOptions.binaryMediaTypes);
+          }
+          catch (err) {
+            return this._replyGatewayError(response, 400, `Could not parse request body into json: ${err.message}`);
+          }
+
+          try {
+            debugLog('_____ REQUEST TEMPLATE PROCESSING _____');
+            // Velocity templating language parsing
+            const velocityContext = createVelocityContext(request, this.velocityContextOptions, payload || {});
+            event = renderVelocityTemplateObject(requestTemplate, velocityContext, this.velocityContextOptions);
+          }
+          catch (err) {
+            return this._reply500(response, `Error while parsing template "${contentType}" for ${funName}`, err);
+          }
+        }
+
+        // Templates can render any JSON value
+        if (isPlainObject(event)) event.isOffline = true;
+        debugLog('event:', event);
+
+        // The handler's callback (context.done/succeed/fail) will send the HTTP response
+        this._invokeFunction(requestId, funName, event, this._catchReplyErrors(response, funName, (err, data) => {
+          // Everything in this block happens once the lambda function has resolved
+          debugLog('_____ HANDLER RESOLVED _____');
+
+          if (err && err.isTimeout) return this._replyTimeout(response, funName, funTimeout);
+          if (err && err.offlineMessage) return this._reply500(response, err.offlineMessage, err);
+          if (isLambdaProxy) return this._replyLambdaProxy(request, response, funName, err, data);
+
+          let result = data;
+          let responseName = 'default';
+          let responseContentType = defaultContentType;
+
+          /* RESPONSE SELECTION (among endpoint's possible responses) */
+
+          // Failure handling
+          if (err) {
+
+            const errorMessage = (err.message || err).toString();
+
+            // Mocks Lambda errors
+            result = {
+              errorMessage,
+              errorType: err.errorType || err.constructor.name,
+              stackTrace: this._getArrayStackTrace(err.stack)
+            };
+
+            serverlessLog(`Failure: ${errorMessage}`);
+            if (result.stackTrace) console.log(result.stackTrace.join('\n  '));
+
+            for (let key in endpoint.responses) {
+              if (key === 'default') continue;
+
+              if (errorMessage.match('^' + (endpoint.responses[key].selectionPattern || key) + '$')) {
+                responseName = key;
+                break;
+              }
+            }
+          }
+
+          debugLog(`Using response '${responseName}'`);
+
+          const chosenResponse = endpoint.responses[responseName];
+
+          /* CORS HEADERS (responseParameters can override them) */
+
+          this._setCorsHeaders(request, response, endpoint.cors);
+
+          /* RESPONSE PARAMETERS PROCCESSING */
+
+          this._processResponseParameters(request, response, chosenResponse, responseName, result, requestId);
+
+          /* RESPONSE TEMPLATE PROCCESSING */
+
+          const templated = this._processResponseTemplates(request, chosenResponse, result, funName);
+
+          result = templated.result;
+          responseContentType = templated.contentType || responseContentType;
+
+          /* CONTENT HANDLING */
+
+          result = this._processContentHandling(request, response, chosenResponse.contentHandling, result);
+
+          /* HAPIJS RESPONSE CONFIGURATION */
+
+          const statusCode = chosenResponse.statusCode || 200;
+          if (!chosenResponse.statusCode) {
+            console.log();
+            serverlessLog(`Warning: No statusCode found for response "${responseName}".`);
+          }
+
+          // responseParameters can set the Content-Type
+          response.header('Content-Type', response.headers['content-type'] || responseContentType);
+          response.statusCode = statusCode;
+          response.source = result;
+
+          // Log response
+          let whatToLog = result;
+
+          try {
+            whatToLog = Buffer.isBuffer(result) ? `<${result.length} bytes>` :
+              typeof result === 'string' ? result : JSON.stringify(result);
+          }
+          catch(err) {
+            // nothing
+          }
+          finally {
+            serverlessLog(err ? `Replying ${statusCode}` : `[${statusCode}] ${whatToLog}`);
+            debugLog('requestId:', requestId);
+          }
+
+          // Bon voyage!
+          response.send();
+        }));
+      }).catch(err => this._reply500(response, `Error while handling the request for ${funName}`, err));
     }
 
-    _logAndExit() {
-      console.log.apply(null, arguments);
-      process.exit(0);
+    // Out-of-process handlers call back later: errors thrown while replying are replied 500 too
+    _catchReplyErrors(response, funName, callback) {
+      return (err, data) => {
+        try {
+          return callback(err, data);
+        }
+        catch (replyErr) {
+          this._reply500(response, `Error while replying for ${funName}`, replyErr);
+        }
+      };
     }
-  };
-};
+
+    // Calls a function's handler, in process or not, with its own timeout
+    // callback(err, data, output) is called once. Errors carrying an offlineMessage come from the plugin, not from the handler
+    // With shouldCaptureOutput, output is what the handler wrote while it ran
+    _invokeFunction(requestId, funName, event, callback, shouldCaptureOutput) {
+
+      const funData = this.functions[funName];
+
+      // Removed by a reload while the request was being authorized
+      if (!funData) return callback(Object.assign(new Error(`Function '${funName}' not found`), { offlineMessage: `Function '${funName}' was removed by a reload` }), null);
+
+      const fun = funData.fun;
+      const funRuntime = funData.funRuntime;
+      const funTimeout = funData.funTimeout;
+      const funEnvironment = funData.funEnvironment;
+      const funBabelOptions = funData.funBabelOptions;
+      const useWebpack = funData.useWebpack;
+      const handlerPath = funData.handlerPath;
+      const handlerName = funData.handlerName;
+      const request = this.requests[requestId] = { done: false, funName };
+
+      // Out-of-process handlers' output comes with their result
+      const done = (err, data, output) => {
+        // The timeout has already called back
+        if (request.timedOut) return;
+
+        // User should not call context.done twice
+        if (request.done) {
+          console.log();
+          serverlessLog(`Warning: context.done called twice within handler '${funName}'!`);
+          debugLog('requestId:', requestId);
+          return;
+        }
+
+        const capturedOutput = this._markRequestDone(requestId);
+
+        callback(err, data, output === undefined ? capturedOutput : output);
+      };
+
+      const fail = (offlineMessage, err) => {
+        const error = err && typeof err === 'object' ? err : new Error(err);
+
+        error.offlineMessage = offlineMessage;
+        done(error, null);
+      };
+
+      const lambdaContext = createLambdaContext(fun, done);
+
+      // The timeout starts with the request, waiting for process.env included
+      this._setRequestTimeout(requestId, funTimeout, callback);
+
+      /* OUT-OF-PROCESS INVOCATION */
+
+      if (funRuntime === 'provided') {
+        debugLog('_____ CALLING BOOTSTRAP THROUGH THE RUNTIME API _____');
+        request.kill = this.runtimePool.invoke(funName, funEnvironment, {
+          requestId,
+          event,
+          deadline: Date.now() + funTimeout,
+          invokedFunctionArn: lambdaContext.invokedFunctionArn,
+          bootstrapPath: funData.bootstrapPath,
+          handler: `${path.basename(handlerPath)}.${handlerName}`,
+          fun: { name: funName, memorySize: fun.memorySize },
+        }, done);
+        return;
+      }
+
+      if (funRuntime === 'python2.7') {
+        debugLog('_____ CALLING PYTHON HANDLER _____');
+        request.kill = invokePythonHandler(fun, handlerPath, handlerName, event, Object.assign({}, this.processEnv, funEnvironment), done);
+        return;
+      }
+
+      // process.env is shared by in-process handlers: while other functions use it, handlers run in a child process
+      // Webpack bundles can only run in process, they wait
+      const isEnvironmentBusy = this.envQueue.length || this.envHolders.length && this.envFunName !== funName;
+
+      if (!useWebpack && (this.options.useChildProcesses || isEnvironmentBusy)) {
+        debugLog('_____ CALLING HANDLER IN A CHILD PROCESS _____');
+        request.kill = this.workerPool.invoke(funName, funEnvironment, {
+          fun: { name: funName, timeout: fun.timeout, memorySize: fun.memorySize },
+          event,
+          handlerPath,
+          handlerName,
+          isBabelRuntime: funRuntime === 'babel',
+          babelOptions: this._getBabelOptions(funRuntime === 'babel', funBabelOptions),
+          skipCacheInvalidation: this.options.skipCacheInvalidation,
+          shouldCaptureOutput,
+        }, done);
+        return;
+      }
+
+      /* HANDLER LAZY LOADING */
+
+      const getHandler = () => {
+        if (useWebpack) {
+          return this.webpackResolver.resolve(funName).then(handler => {
+            return handler[handlerName]
+          })
+        } else {
+          try {
+            if (!this.options.skipCacheInvalidation) {
+              debugLog('Invalidating cache...');
+
+              for (let key in require.cache) {
+                // Require cache invalidation, brutal and fragile.
+                // Might cause errors, if so please submit an issue.
+                if (!key.match('node_modules'))
+                  delete require.cache[key];
+              }
+            }
+
+            debugLog(`Loading handler... (${handlerPath})`);
+            let handler = require(handlerPath)[handlerName];
+            if (typeof handler !== 'function')
+              throw new Error(`Serverless-offline: handler for '${funName}' is not a function`);
+
+            return Promise.resolve(handler);
+          }
+          catch(err) {
+            console.error('failed to get handler', err);
+            return Promise.reject(err);
+          }
+        }
+      };
+
+      const callHandler = handler => {
+        serverlessLog(`Got handler - keys ${Object.keys(handler)}`);
+
+        // In-process handlers share the plugin's output: concurrent invocations capture each other's
+        if (shouldCaptureOutput) request.stopCapture = captureOutput();
+
+        // Finally we call the handler
+        debugLog('_____ CALLING HANDLER _____');
+        try {
+          const x = handler(event, lambdaContext, lambdaContext.done);
+
+          // Promise support
+          if (funRuntime === 'babel' && !request.done) {
+            if (x && typeof x.then === 'function' && typeof x.catch === 'function') x
+                .then(lambdaContext.succeed)
+                .catch(lambdaContext.fail);
+            else if (x instanceof Error) lambdaContext.fail(x);
+            else lambdaContext.succeed(x);
+          }
+        }
+        catch(err) {
+          return fail(`Uncaught error in your '${funName}' handler`, err);
+        }
+      };
+
+      /* ENVIRONMENT VARIABLES DECLARATION */
+
+      // Requests of the same function share process.env, webpack ones of other functions wait for them to resolve
+      this._acquireEnvironment(requestId, funName, funEnvironment).then(() => {
+
+        // Timed out while waiting
+        if (request.done) return;
+
+        /* BABEL CONFIGURATION */
+
+        this._registerBabel(funRuntime === 'babel', funBabelOptions);
+
+        return getHandler().then(callHandler, err => fail(`Error while loading ${funName}`, err));
+      }).catch(err => fail(`Error while loading ${funName}`, err));
+    }
+
+    // s-function.json and s-templates.json files are hot reloaded, one reload at a time
+    _watchConfig() {
+
+      let reloading = Promise.resolve();
+
+      this.configWatcher = createConfigWatcher(this.project.getRootPath(), () => {
+        reloading = reloading.then(() => this._reloadRoutes());
+      });
+    }
+
+    // Invalid configurations keep the current routes
+    _reloadRoutes() {
+
+      const previousProject = this.project;
+      const previousRoutes = this.routes;
+      const previousFunctions = this.functions;
+      let project;
+
+      console.log();
+      serverlessLog('Configuration changed, reloading routes...');
+
+      return Promise.resolve()
+        .then(() => {
+          project = new S.classes.Project();
+          return project.load();
+        })
+        .then(() => {
+          // Population reads the templates and variables of Serverless's current project
+          S.setProject(project);
+
+          const table = this._loadRoutes(project);
+
+          this.project = project;
+          this._swapRoutes(table);
+          this._swapSchedules(table.schedules);
+        })
+        .then(() => {
+          // Authorizers and environment variables may have changed
+          this.authorizerCache.clear();
+          Object.keys(previousFunctions).forEach(funName => {
+            this.workerPool.release(funName);
+            this.runtimePool.release(funName);
+          });
+
+          this._logRoutesChanges(previousRoutes);
+        })
+        .catch(err => {
+          S.setProject(previousProject);
+          serverlessLog(`Could not reload routes, keeping the current ones: ${err.message}`);
+        });
+    }
+
+    _logRoutesChanges(previousRoutes) {
+
+      const describe = key => `${key} (λ: ${(this.routes[key] || previousRoutes[key]).funName})`;
+      const isUpdated = key => previousRoutes[key] && (previousRoutes[key].funName !== this.routes[key].funName ||
+        !_.isEqual(previousRoutes[key].endpoint, this.routes[key].endpoint));
+
+      const added = Object.keys(this.routes).filter(key => !previousRoutes[key]);
+      const removed = Object.keys(previousRoutes).filter(key => !this.routes[key]);
+      const updated = Object.keys(this.routes).filter(isUpdated);
+
+      serverlessLog(`Routes reloaded: ${added.length} added, ${removed.length} removed, ${updated.length} updated`);
+
+      added.forEach(key => serverlessLog(`+ ${describe(key)}`));
+      removed.forEach(key => serverlessLog(`- ${describe(key)}`));
+      updated.forEach(key => serverlessLog(`~ ${describe(key)}`));
+    }
+
+    // Files created (or updated) and removed in the buckets' directories invoke the functions subscribed to them
+    _watchBuckets() {
+
+      this.bucketPollers = Object.keys(this.buckets).map(bucket => {
+
+        const directory = this.buckets[bucket];
+
+        serverlessLog(`Bucket ${bucket}: ${directory}`);
+
+        if (!fs.existsSync(directory)) serverlessLog(`Warning: ${directory} does not exist (yet)`);
+
+        return createDirectoryPoller(directory, 500, (type, key, stats) => {
+          const eventName = type === 'created' ? 'ObjectCreated:Put' : 'ObjectRemoved:Delete';
+          const object = { key };
+
+          if (stats) {
+            object.size = stats.size;
+            object.eTag = this._getETag(path.join(directory, key));
+          }
+
+          this.s3Events
+            .filter(s3Event => s3Event.bucket === bucket && this._matchesS3Event(s3Event, eventName, key))
+            .forEach(s3Event => this._invokeS3Event(s3Event, createS3Event(eventName, bucket, object, s3Event.name, this.options.region)));
+        });
+      });
+    }
+
+    // bucketEvents like "s3:ObjectCreated:*" and prefix/suffix filterRules
+    _matchesS3Event(s3Event, eventName, key) {
+
+      const matchesEventName = s3Event.bucketEvents.some(bucketEvent => bucketEvent === `s3:${eventName}` ||
+        bucketEvent.endsWith(':*') && `s3:${eventName}`.startsWith(bucketEvent.slice(0, -1)));
+
+      return matchesEventName && s3Event.filterRules.every(rule => {
+        const ruleName = String(rule.name).toLowerCase();
+        const value = String(rule.value);
+
+        return ruleName === 'prefix' ? key.startsWith(value) : ruleName === 'suffix' ? key.endsWith(value) : true;
+      });
+    }
+
+    _getETag(filePath) {
+      try {
+        return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+      }
+      catch (err) {
+        return null; // Removed in the meantime
+      }
+    }
+
+    _invokeS3Event(s3Event, event) {
+
+      const requestId = Math.random().toString().slice(2);
+      const record = event.Records[0];
+
+      console.log();
+      serverlessLog(`${record.eventName} ${record.s3.bucket.name}/${record.s3.object.key} (λ: ${s3Event.funName})`);
+      debugLog('requestId:', requestId);
+      debugLog('event:', event);
+
+      event.isOffline = true;
+
+      this._invokeFunction(requestId, s3Event.funName, event, (err, data) => this._logInvocationResult(err, data));
+    }
+
+    // All done, we can listen to incomming requests
+    _listen() {
+      return new Promise((resolve, reject) => this.server.start(err => {
+        if (err) return reject(err);
+
+        this.port = this.server.info.port; // With port 0, the one the system chose
+
+        console.log();
+        serverlessLog(`Offline listening on http${this.options.httpsProtocol ? 's' : ''}://localhost:${this.port}`);
+        resolve();
+      }));
+    }
+
+    // Bad news
+    _reply500(response, message, err) {
+
+      const stackTrace = this._getArrayStackTrace(err.stack);
+
+      serverlessLog(message);
+      console.log(stackTrace || err);
+
+      response.statusCode = 200; // APIG replies 200 by default on failures
+      response.source = {
+        errorMessage: message,
+        errorType: err.errorType || err.constructor.name,
+        stackTrace,
+        offlineInfo: 'If you believe this is an issue with the plugin please submit it, thanks. https://github.com/dherault/serverless-offline/issues',
+      };
+      serverlessLog(`Replying error in handler`);
+      response.send();
+    }
+
+    // With CONVERT_TO_BINARY the handler (or template) gives base64, APIG replies with the bytes to clients accepting a binary media type
+    _processContentHandling(request, response, contentHandling, result) {
+
+      if (contentHandling !== 'CONVERT_TO_BINARY' || typeof result !== 'string' || !this._acceptsBinary(request)) return result;
+
+      if (!response.headers['content-type']) response.header('Content-Type', 'application/octet-stream');
+      response.variety = 'buffer'; // Otherwise Hapi would JSON.stringify it
+
+      return new Buffer(String(result), 'base64');
+    }
+
+    // If there is a responseTemplate, we apply it to the result
+    _processResponseTemplates(request, chosenResponse, result, funName) {
+
+      const responseTemplates = chosenResponse.responseTemplates;
+
+      if (!isPlainObject(responseTemplates)) return { result };
+
+      const responseTemplatesKeys = Object.keys(responseTemplates);
+
+      if (!responseTemplatesKeys.length) return { result };
+
+      // Like APIG, the template (and Content-Type) is chosen from the Accept header
+      const templateName = negotiateContentType(request.headers.accept, responseTemplatesKeys);
+      const responseTemplate = responseTemplates[templateName];
+
+      if (responseTemplate) {
+
+        debugLog('_____ RESPONSE TEMPLATE PROCCESSING _____');
+        debugLog(`Using responseTemplate '${templateName}'`);
+
+        try {
+          const reponseContext = createVelocityContext(request, this.velocityContextOptions, result, JSON.stringify(result));
+
+          // APIG replies with the raw output of response templates
+          result = this.options.strictVelocity ?
+            renderVelocityTemplate(responseTemplate, reponseContext) :
+            renderVelocityTemplateObject({ root: responseTemplate }, reponseContext).root;
+        }
+        catch (err) {
+          serverlessLog(`Error while parsing responseTemplate '${templateName}' for lambda ${funName}:`);
+          console.log(err.stack);
+        }
+      }
+
+      return { result, contentType: templateName };
+    }
+
+    _processResponseParameters(request, response, chosenResponse, responseName, result, requestId) {
+
+      const responseParameters = chosenResponse.responseParameters;
+
+      if (!isPlainObject(responseParameters)) return;
+
+      const responseParametersKeys = Object.keys(responseParameters);
+
+      debugLog('_____ RESPONSE PARAMETERS PROCCESSING _____');
+      debugLog(`Found ${responseParametersKeys.length} responseParameters for '${responseName}' response`);
+
+      // responseParameters are validated at startup
+      const sources = {
+        body: result,
+        headers: { // What Lambda integrations reply with besides the body
+          'Content-Type': 'application/json',
+          'X-Amzn-RequestId': requestId,
+        },
+        context: createVelocityContext(request, this.velocityContextOptions, result).context,
+        stageVariables: this.velocityContextOptions.stageVariables,
+      };
+
+      responseParametersKeys.forEach(key => {
+
+        // responseParameters use the following shape: "method.response.header.NAME": "mapping expression"
+        const value = responseParameters[key];
+        const headerName = key.split('.').slice(3).join('.');
+        const headerValue = resolveResponseParameter(value, sources);
+
+        debugLog(`Processing responseParameter "${key}": "${value}"`);
+
+        if (headerValue === undefined) return debugLog(`No value found, skipping header "${headerName}"`);
+
+        debugLog(`Will assign "${headerValue}" to header "${headerName}"`);
+        response.header(headerName, headerValue);
+      });
+    }
+
+    // Calls the endpoint's custom authorizer and enforces its policy
+    // Resolves true when the request can go on, otherwise replies like APIG and resolves false
+    _authorize(request, response, endpoint, resource) {
+
+      const authorizerFunName = endpoint.authorizerFunction;
+      const authorizerFunData = this.functions[authorizerFunName];
+      const context = createVelocityContext(request, this.velocityContextOptions, {}).context;
+      const path = '/' + request.path.slice(this.options.prefix.length);
+      const methodArn = `arn:aws:execute-api:${this.options.region}:${context.identity.accountId}:${context.apiId}/${context.stage}/${context.httpMethod}${path}`;
+
+      return new Promise(resolve => {
+
+        const replyUnauthorized = (statusCode, message) => {
+          this._replyGatewayError(response, statusCode, message);
+          resolve(false);
+        };
+
+        if (!authorizerFunData) {
+          serverlessLog(`Warning: authorizer function '${authorizerFunName}' was not found or is not supported`);
+          return replyUnauthorized(500, null);
+        }
+
+        const authorizerConfig = authorizerFunData.populatedFun.authorizer || {};
+        const authorizerEvent = createAuthorizerEvent(request, authorizerConfig, methodArn, this.velocityContextOptions, resource);
+
+        if (!authorizerEvent) {
+          serverlessLog(`Identity source missing or invalid for authorizer '${authorizerFunName}'`);
+          return replyUnauthorized(401, 'Unauthorized');
+        }
+
+        const applyPolicy = result => {
+          if (!evaluateAuthorizerPolicy(result.policyDocument, methodArn)) return replyUnauthorized(403, 'User is not authorized to access this resource');
+
+          serverlessLog(`Authorized principal '${result.principalId}'`);
+
+          // Will populate $context.authorizer and requestContext.authorizer
+          request.plugins['serverless-offline'] = Object.assign({}, request.plugins['serverless-offline'], {
+            authorizer: Object.assign({}, result.context, { principalId: result.principalId }),
+          });
+
+          resolve(true);
+        };
+
+        // Like APIG, a cached policy is reused for any endpoint its resources match
+        const cachedResult = this.options.noAuthorizerCache ? null : this.authorizerCache.get(authorizerFunName, authorizerEvent.identity);
+
+        if (cachedResult) {
+          serverlessLog(`Using cached policy of authorizer '${authorizerFunName}'`);
+          return applyPolicy(cachedResult);
+        }
+
+        serverlessLog(`Running authorizer '${authorizerFunName}'`);
+        debugLog('authorizer event:', authorizerEvent.event);
+
+        this._invokeFunction(Math.random().toString().slice(2), authorizerFunName, authorizerEvent.event, (err, result) => {
+
+          if (err) {
+            const errorMessage = (err.message || err).toString();
+
+            serverlessLog(`Authorizer failure: ${errorMessage}`);
+
+            return errorMessage === 'Unauthorized' ? replyUnauthorized(401, 'Unauthorized') : replyUnauthorized(500, null);
+          }
+
+          debugLog('authorizer result:', result);
+
+          try {
+            if (!result || !result.principalId) throw new Error('Missing principalId');
+
+            evaluateAuthorizerPolicy(result.policyDocument, methodArn);
+
+            for (let key in result.context) {
+              if (result.context[key] !== null && typeof result.context[key] === 'object') throw new Error(`Authorizer context values must be strings, numbers or booleans, found an object for '${key}'`);
+            }
+          }
+          catch (err) {
+            serverlessLog(`Invalid authorizer result: ${err.message}`);
+            return replyUnauthorized(500, null);
+          }
+
+          if (!this.options.noAuthorizerCache) {
+            const ttl = authorizerConfig.authorizerResultTtlInSeconds;
+
+            // APIG defaults to 300 seconds, 0 disables caching
+            this.authorizerCache.set(authorizerFunName, authorizerEvent.identity, result, ttl === undefined ? 300 : Number(ttl));
+          }
+
+          applyPolicy(result);
+        });
+      });
+    }
+
+    // Like APIG, rejects requests without a valid x-api-key header and enforces the usage plan
+    _checkApiKey(request, response) {
+
+      if (!this.apiKeys) return true;
+
+      const apiKey = request.headers['x-api-key'];
+
+      if (!apiKey || this.apiKeys.indexOf(apiKey) === -1) {
+        serverlessLog('Missing or invalid API key');
+        this._replyGatewayError(response, 403, 'Forbidden');
+        return false;
+      }
+
+      const usagePlanError = this.usagePlan.consume(apiKey);
+
+      if (usagePlanError) {
+        serverlessLog(`Usage plan exceeded: ${usagePlanError}`);
+        this._replyGatewayError(response, 429, usagePlanError);
+        return false;
+      }
+
+      // Will populate $context.identity.apiKey and requestContext.identity.apiKey
+      request.plugins['serverless-offline'] = Object.assign({}, request.plugins['serverless-offline'], { apiKey });
+
+      return true;
+    }
+
+    // Like APIG, rejects requests missing required parameters ("method.request.querystring.page": true)
+    // Then applies the integration request mappings, templates see them in $input.params()
+    _processRequestParameters(request, response, endpoint, isLambdaProxy) {
+
+      const requestParameters = endpoint.requestParameters;
+
+      if (!isPlainObject(requestParameters)) return true;
+
+      const missingParameters = Object.keys(requestParameters)
+        .filter(key => key.startsWith('method.request.') && requestParameters[key] === true && getRequestParameter(request, key) === undefined)
+        .map(key => key.split('.').slice(3).join('.'));
+
+      if (missingParameters.length) {
+        serverlessLog(`Missing required request parameters: ${missingParameters.join(', ')}`);
+        this._replyGatewayError(response, 400, `Missing required request parameters: [${missingParameters.join(', ')}]`);
+        return false;
+      }
+
+      // Proxy integrations get the method request as is
+      if (isLambdaProxy) return true;
+
+      const mappedParameters = mapRequestParameters(request, requestParameters, {
+        context: createVelocityContext(request, this.velocityContextOptions, {}).context,
+        stageVariables: this.velocityContextOptions.stageVariables,
+      });
+
+      debugLog('mapped request parameters:', mappedParameters);
+
+      // Request templates see them through $input.params(), CORS, API keys and the proxy keep the request as is
+      request.plugins['serverless-offline'] = Object.assign({}, request.plugins['serverless-offline'], { integrationParameters: mappedParameters });
+
+      return true;
+    }
+
+    // Like APIG's request validators, rejects bodies that do not match the endpoint's request model
+    _validateRequestBody(request, response, validate, contentType) {
+
+      if (!validate) return true;
+
+      let errors;
+
+      try {
+        const payload = parseRequestPayload(request.payload, contentType, this.velocityContextOptions.binaryMediaTypes);
+
+        if (validate(payload)) return true;
+
+        errors = validate.errors;
+      }
+      catch (err) {
+        errors = [err.message];
+      }
+
+      serverlessLog('Invalid request body (use --debugOffline for details)');
+      debugLog('request body errors:', JSON.stringify(errors, null, 2));
+      this._replyGatewayError(response, 400, 'Invalid request body');
+
+      return false;
+    }
+
+    // Errors APIG replies with itself, without calling the handler
+    _replyGatewayError(response, statusCode, message) {
+      serverlessLog(`Replying ${statusCode}`);
+      response.statusCode = statusCode;
+      response.header('Content-Type', 'application/json');
+      response.source = { message };
+      response.send();
+    }
+
+    _acceptsBinary(request) {
+      return isBinaryMediaType(request.headers.accept, this.velocityContextOptions.binaryMediaTypes);
+    }
+
+    // The handler's result is the response, no selection nor templates
+    _replyLambdaProxy(request, response, funName, err, result) {
+
+      const replyBadGateway = message => {
+        serverlessLog(message);
+        serverlessLog('Replying 502');
+        response.statusCode = 502;
+        response.header('Content-Type', 'application/json');
+        response.source = { message: 'Internal server error' };
+        response.send();
+      };
+
+      if (err) return replyBadGateway(`Failure: ${(err.message || err).toString()}`);
+
+      if (!isPlainObject(result) || (result.body !== undefined && result.body !== null && typeof result.body !== 'string')) {
+        return replyBadGateway(`Warning: malformed Lambda proxy response from '${funName}': it must be an object with a string body`);
+      }
+
+      const statusCode = result.statusCode || 200;
+      const headers = isPlainObject(result.headers) ? result.headers : {};
+      let body = result.body || '';
+      // Clients not accepting a binary media type get the base64, like APIG's
+      const isBinary = !!result.isBase64Encoded && this._acceptsBinary(request);
+
+      if (isBinary) {
+        body = new Buffer(body, 'base64');
+        response.variety = 'buffer'; // Otherwise Hapi would JSON.stringify it
+      }
+
+      // Like APIG, JSON unless the handler says otherwise
+      response.header('Content-Type', 'application/json');
+      for (let key in headers) {
+        response.header(key, headers[key]);
+      }
+
+      response.statusCode = statusCode;
+      response.source = body;
+
+      serverlessLog(`[${statusCode}] ${isBinary ? `<${body.length} bytes>` : body}`);
+      response.send();
+    }
+
+    _replyTimeout(response, funName, funTimeout) {
+      serverlessLog(`Replying timeout after ${funTimeout}ms`);
+      response.statusCode = 503;
+      response.source = `[Serverless-Offline] Your λ handler '${funName}' timed out after ${funTimeout}ms.`;
+      response.send();
+    }
+
+    // We cannot use Hapijs's timeout feature because the logic above can take a significant time, so we implement it ourselves
+    _setRequestTimeout(requestId, funTimeout, callback) {
+      if (this.options.noTimeout) return;
+
+      this.requests[requestId].timeout = setTimeout(() => {
+        const request = this.requests[requestId];
+
+        if (!request || request.done) return;
+
+        request.timedOut = true;
+
+        const capturedOutput = this._markRequestDone(requestId);
+
+        // Out-of-process handlers get a real kill
+        if (request.kill) request.kill();
+
+        const error = new Error(`Task timed out after ${(funTimeout / 1000).toFixed(2)} seconds`);
+
+        error.isTimeout = true;
+        callback(error, null, capturedOutput);
+      }, funTimeout);
+    }
+
+    // Every request is done once: resolved, failed or timed out
+    // Returns the output captured in process, if any
+    _markRequestDone(requestId) {
+      const request = this.requests[requestId];
+
+      request.done = true;
+      clearTimeout(request.timeout);
+      this._releaseEnvironment(requestId);
+      delete this.requests[requestId];
+
+      return request.stopCapture ? request.stopCapture() : undefined;
+    }
+
+    // Resolves once the function's env vars are declared in process.env
+    // Requests of the same function share them, other functions wait in line
+    _acquireEnvironment(requestId, funName, envVars) {
+      return new Promise(resolve => {
+        this.envQueue.push({ requestId, funName, envVars, resolve });
+        this._processEnvironmentQueue();
+      });
+    }
+
+    // Requests waiting in line can be done too: they timed out
+    _releaseEnvironment(requestId) {
+      const index = this.envHolders.indexOf(requestId);
+
+      this.envQueue = this.envQueue.filter(waiting => waiting.requestId !== requestId);
+
+      if (index !== -1) this.envHolders.splice(index, 1);
+
+      this._processEnvironmentQueue();
+    }
+
+    _processEnvironmentQueue() {
+      while (this.envQueue.length) {
+        const next = this.envQueue[0];
+
+        if (this.envHolders.length && next.funName !== this.envFunName) return;
+
+        this.envQueue.shift();
+
+        if (!this.envHolders.length) {
+          // Clears old vars
+          this._restoreEnvironment(Object.keys(this.envVars), this.processEnv);
+
+          // Declares new ones
+          this.envVars = next.envVars;
+          this.envFunName = next.funName;
+          for (let key in this.envVars) {
+            process.env[key] = this.envVars[key];
+          }
+        }
+
+        this.envHolders.push(next.requestId);
+        next.resolve();
+      }
+    }
+
+    // Handlers' env vars can override the process' ones
+    _restoreEnvironment(keys, env) {
+      keys.forEach(key => {
+        if (env.hasOwnProperty(key)) process.env[key] = env[key];
+        else delete process.env[key];
+      });
+    }
+
+    _setCorsHeaders(request, response, cors, methods) {
+
+      if (!cors) return;
+
+      const corsHeaders = createCorsHeaders(cors, request.headers.origin, methods);
+
+      Object.keys(corsHeaders).forEach(key => response.header(key, corsHeaders[key]));
+    }
+
+    // For the AWS SDK's lambda.invoke, with the plugin as endpoint (http://localhost:3000)
+    _createInvokeRoute() {
+      this.server.route({
+        method: 'POST',
+        path: '/2015-03-31/functions/{functionName}/invocations',
+        config: {
+          cors: false,
+          payload: { parse: false, maxBytes: 6 * 1024 * 1024 }, // Lambda's payload limit
+        },
+        handler: (request, reply) => this._handleInvoke(request, reply),
+      });
+    }
+
+    _handleInvoke(request, reply) {
+
+      const requestId = Math.random().toString().slice(2);
+      const functionName = request.params.functionName;
+      const invocationType = request.headers['x-amz-invocation-type'] || 'RequestResponse';
+      const funName = this._getInvokedFunctionName(functionName);
+      const response = reply.response().hold();
+
+      console.log();
+      serverlessLog(`Invoke ${invocationType} ${functionName}${funName ? ` (λ: ${funName})` : ''}`);
+      debugLog('requestId:', requestId);
+
+      response.header('X-Amzn-RequestId', requestId);
+
+      if (!funName) return this._replyLambdaError(response, 404, 'ResourceNotFoundException', `Function not found: ${functionName}`);
+
+      if (['RequestResponse', 'Event', 'DryRun'].indexOf(invocationType) === -1) {
+        return this._replyLambdaError(response, 400, 'ValidationException', `1 validation error detected: Value '${invocationType}' at 'invocationType' failed to satisfy constraint: Member must satisfy enum value set: [Event, RequestResponse, DryRun]`);
+      }
+
+      let event = {};
+
+      try {
+        if (request.payload && request.payload.length) event = JSON.parse(request.payload.toString());
+      }
+      catch (err) {
+        return this._replyLambdaError(response, 400, 'InvalidRequestContentException', `Could not parse request body into json: ${err.message}`);
+      }
+
+      if (isPlainObject(event)) event.isOffline = true;
+      debugLog('event:', event);
+
+      // DryRun only checks the request
+      if (invocationType === 'DryRun') {
+        response.statusCode = 204;
+        return response.send();
+      }
+
+      // Event invocations are asynchronous
+      if (invocationType === 'Event') {
+        response.statusCode = 202;
+        response.send();
+
+        return this._invokeFunction(requestId, funName, event, (err, data) => this._logInvocationResult(err, data));
+      }
+
+      const memorySize = this.functions[funName].fun.memorySize;
+      const isTail = request.headers['x-amz-log-type'] === 'Tail';
+      const startTime = Date.now();
+
+      this._invokeFunction(requestId, funName, event, (err, data, output) => {
+
+        if (isTail) response.header('X-Amz-Log-Result', this._createLogResult(requestId, output || '', Date.now() - startTime, memorySize));
+
+        this._logInvocationResult(err, data);
+
+        response.statusCode = 200;
+        response.type('application/json');
+        response.header('X-Amz-Executed-Version', '$LATEST');
+        response.source = JSON.stringify(err ? this._createLambdaError(requestId, err) : data === undefined ? null : data);
+
+        // Errors passed to the callback are handled, uncaught errors and timeouts are not
+        if (err) response.header('X-Amz-Function-Error', err.isTimeout || err.offlineMessage ? 'Unhandled' : 'Handled');
+
+        response.send();
+      }, isTail);
+    }
+
+    // "fun", "project-fun" (its deployed name) or its ARN, with an optional qualifier
+    _getInvokedFunctionName(functionName) {
+
+      const parts = functionName.split(':');
+      const name = parts[0] === 'arn' ? parts[6] : parts[0];
+
+      return Object.keys(this.functions).filter(funName => name === funName || name === `${this.project.name}-${funName}`)[0];
+    }
+
+    _createLambdaError(requestId, err) {
+
+      if (err.isTimeout) return { errorMessage: `${new Date().toISOString()} ${requestId} ${err.message}` };
+
+      return {
+        errorMessage: (err.message || err).toString(),
+        errorType: err.errorType || err.constructor.name,
+        stackTrace: this._getArrayStackTrace(err.stack),
+      };
+    }
+
+    // Like Lambda's LogResult: the last 4 KB of the invocation's logs, without the plugin's ones
+    _createLogResult(requestId, output, duration, memorySize) {
+
+      const lines = output.split('\n').filter(line => line && !/^(Serverless:|\[debug\])/.test(line));
+      const report = `REPORT RequestId: ${requestId}\tDuration: ${duration.toFixed(2)} ms\tBilled Duration: ${Math.max(100, Math.ceil(duration / 100) * 100)} ms\t` +
+        `Memory Size: ${memorySize || 1024} MB`;
+
+      const logs = [`START RequestId: ${requestId} Version: $LATEST`].concat(lines, `END RequestId: ${requestId}`, report, '').join('\n');
+
+      return new Buffer(logs).slice(-4096).toString('base64');
+    }
+
+    _replyLambdaError(response, statusCode, type, message) {
+      serverlessLog(`[${statusCode}] ${type}: ${message}`);
+
+      response.statusCode = statusCode;
+      response.type('application/json');
+      response.header('X-Amzn-ErrorType', type);
+      response.source = JSON.stringify({ Message: message, Type: 'User' });
+      response.send();
+    }
+
+    // For the AWS SDK's SNS client, with http://localhost:3000/_offline/sns as endpoint
+    _createSnsRoute() {
+      this.server.route({
+        method: 'POST',
+        path: '/_offline/sns',
+        config: {
+          cors: false,
+          payload: { parse: false },
+        },
+        handler: (request, reply) => this._handleSnsRequest(request, reply),
+      });
+    }
+
+    // Only the Publish action is emulated, messages fan out to the topic's functions
+    _handleSnsRequest(request, reply) {
+
+      const requestId = createUuid();
+      const params = querystring.parse((request.payload || '').toString());
+      const topicArn = params.TopicArn || params.TargetArn;
+      const subscriptions = topicArn && this.snsTopics[topicArn.split(':').pop()];
+      const replyError = (statusCode, code, message) => this._replyQueryError(reply, snsNamespace, statusCode, code, message, requestId);
+
+      console.log();
+      serverlessLog(`SNS ${params.Action} ${topicArn || ''}`);
+
+      if (params.Action !== 'Publish') return replyError(400, 'InvalidAction', `The action ${params.Action} is not valid for this web service.`);
+      if (!topicArn) return replyError(400, 'InvalidParameter', 'Invalid parameter: TopicArn or TargetArn Reason: no value for required parameter');
+      if (!subscriptions) return replyError(404, 'NotFound', 'Topic does not exist');
+      if (!params.Message) return replyError(400, 'InvalidParameter', 'Invalid parameter: Empty message');
+
+      let message = params.Message;
+      let messageAttributes;
+
+      try {
+        message = params.MessageStructure === 'json' ? this._getSnsLambdaMessage(message) : message;
+        messageAttributes = _.mapValues(parseMessageAttributes(params, 'MessageAttributes.entry.'), attribute => ({
+          Type: attribute.DataType,
+          Value: attribute.StringValue || attribute.BinaryValue,
+        }));
+      }
+      catch (err) {
+        return replyError(400, 'InvalidParameter', `Invalid parameter: ${err.message}`);
+      }
+
+      const messageId = createUuid();
+      const snsMessage = { messageId, message, subject: params.Subject, messageAttributes };
+
+      subscriptions.filter(subscription => matchesFilterPolicy(subscription.filterPolicy, messageAttributes)).forEach(subscription => {
+        this._invokeSnsSubscription(subscription, createSnsEvent(topicArn, `${topicArn}:${subscription.funName}-${subscription.name}`, snsMessage));
+      });
+
+      this._replyQueryResult(reply, snsNamespace, 'Publish', { MessageId: messageId }, requestId);
+    }
+
+    // With MessageStructure json, each protocol can get its own message
+    _getSnsLambdaMessage(message) {
+
+      let messages;
+
+      try {
+        messages = JSON.parse(message);
+      }
+      catch (err) {
+        throw new Error('Message Structure - JSON message body failed to parse');
+      }
+
+      if (!messages || typeof messages.default !== 'string') throw new Error('Message Structure - No default entry in JSON message body');
+
+      return typeof messages.lambda === 'string' ? messages.lambda : messages.default;
+    }
+
+    _invokeSnsSubscription(subscription, event) {
+
+      const requestId = Math.random().toString().slice(2);
+
+      serverlessLog(`SNS message ${event.Records[0].Sns.MessageId} (λ: ${subscription.funName})`);
+      debugLog('requestId:', requestId);
+      debugLog('event:', event);
+
+      event.isOffline = true;
+
+      this._invokeFunction(requestId, subscription.funName, event, (err, data) => this._logInvocationResult(err, data));
+    }
+
+    // Like Lambda's pollers, each sqs event gets batches of its queue's messages, one batch at a time
+    _pollQueues() {
+      this.sqsTimer = setInterval(() => this.sqsEvents.forEach(sqsEvent => this._pollSqsEvent(sqsEvent)), 500);
+    }
+
+    // Handled batches are deleted, the messages of failed ones become visible again after the queue's visibility timeout
+    _pollSqsEvent(sqsEvent) {
+
+      const queue = this.queues[sqsEvent.queueName];
+
+      if (this.isStopped || this.pollingSqsEvents[sqsEvent.key]) return;
+
+      const messages = queue.receive(sqsEvent.batchSize);
+      const receiptHandles = messages.map(message => message.receiptHandle);
+
+      if (!messages.length) return;
+
+      const requestId = Math.random().toString().slice(2);
+      const event = createSqsEvent(messages, this._getQueueArn(queue.name), this.options.region);
+
+      console.log();
+      serverlessLog(`SQS ${queue.name}: ${messages.length} message(s) (λ: ${sqsEvent.funName})`);
+      debugLog('requestId:', requestId);
+      debugLog('event:', event);
+
+      event.isOffline = true;
+      this.pollingSqsEvents[sqsEvent.key] = true;
+
+      this._invokeFunction(requestId, sqsEvent.funName, event, (err, data) => {
+        this._logInvocationResult(err, data);
+        delete this.pollingSqsEvents[sqsEvent.key];
+
+        if (err) return serverlessLog(`The messages will be visible again after ${queue.attributes.visibilityTimeout}s`);
+
+        receiptHandles.forEach(receiptHandle => queue.delete(receiptHandle));
+
+        // The event may have been removed by a reload
+        if (this.sqsEvents.indexOf(sqsEvent) !== -1) this._pollSqsEvent(sqsEvent);
+      });
+    }
+
+    _getQueueArn(queueName) {
+      return `arn:aws:sqs:${this.options.region}:offlineContext_accountId:${queueName}`;
+    }
+
+    // For the AWS SDK's SQS client, with http://localhost:3000/_offline/sqs as endpoint: it sends a queue's requests to its QueueUrl
+    _createSqsRoutes() {
+
+      ['/_offline/sqs', '/_offline/sqs/queues/{queueName}'].forEach(path => this.server.route({
+        method: 'POST',
+        path,
+        config: {
+          cors: false,
+          payload: { parse: false },
+        },
+        handler: (request, reply) => this._handleSqsRequest(request, reply),
+      }));
+
+      // To look at queues, dead-letter ones in particular, without receiving their messages
+      this.server.route({
+        method: 'GET',
+        path: '/_offline/sqs/queues/{queueName?}',
+        config: { cors: false },
+        handler: (request, reply) => this._replyQueues(request, reply),
+      });
+    }
+
+    _handleSqsRequest(request, reply) {
+
+      const requestId = createUuid();
+      const params = querystring.parse((request.payload || '').toString());
+      const queueName = params.QueueUrl ? params.QueueUrl.split('/').pop() : request.params.queueName;
+      const replyError = (statusCode, code, message) => this._replyQueryError(reply, sqsNamespace, statusCode, code, message, requestId);
+      const actions = {
+        GetQueueUrl: this._getSqsQueueUrl,
+        SendMessage: this._sendSqsMessage,
+        SendMessageBatch: this._sendSqsMessageBatch,
+        ReceiveMessage: this._receiveSqsMessages,
+        DeleteMessage: this._deleteSqsMessage,
+      };
+
+      debugLog(`SQS ${params.Action} ${queueName || params.QueueName || ''}`);
+
+      if (!actions[params.Action]) return replyError(400, 'InvalidAction', `The action ${params.Action} is not valid for this endpoint.`);
+
+      Promise.resolve()
+        .then(() => actions[params.Action].call(this, params, queueName, request))
+        .then(
+          result => this._replyQueryResult(reply, sqsNamespace, params.Action, result, requestId),
+          err => err.sqsCode ? replyError(400, err.sqsCode, err.message) : replyError(500, 'InternalError', err.message)
+        );
+    }
+
+    _getSqsQueue(queueName, parameterName) {
+
+      if (!queueName) throw this._createSqsError('MissingParameter', `The request must contain the parameter ${parameterName}.`);
+
+      if (!this.queues[queueName]) {
+        throw this._createSqsError('AWS.SimpleQueueService.NonExistentQueue', 'The specified queue does not exist for this wsdl version.');
+      }
+
+      return this.queues[queueName];
+    }
+
+    _createSqsError(code, message) {
+
+      const err = new Error(message);
+
+      err.sqsCode = code;
+
+      return err;
+    }
+
+    _getSqsQueueUrl(params, queueName, request) {
+
+      const queue = this._getSqsQueue(params.QueueName, 'QueueName');
+
+      return { QueueUrl: `${request.connection.info.protocol}://${request.info.host}/_offline/sqs/queues/${queue.name}` };
+    }
+
+    _sendSqsMessage(params, queueName) {
+
+      const message = this._sendSqsEntry(this._getSqsQueue(queueName, 'QueueUrl'), params, '');
+
+      return {
+        MD5OfMessageBody: message.md5OfBody,
+        MD5OfMessageAttributes: message.md5OfMessageAttributes,
+        MessageId: message.messageId,
+      };
+    }
+
+    // Invalid entries fail on their own
+    _sendSqsMessageBatch(params, queueName) {
+
+      const queue = this._getSqsQueue(queueName, 'QueueUrl');
+      const result = { SendMessageBatchResultEntry: [], BatchResultErrorEntry: [] };
+      const ids = [];
+
+      for (let i = 1; params[`SendMessageBatchRequestEntry.${i}.Id`] !== undefined; i++) ids.push(params[`SendMessageBatchRequestEntry.${i}.Id`]);
+
+      if (!ids.length) throw this._createSqsError('AWS.SimpleQueueService.EmptyBatchRequest', 'There should be at least one SendMessageBatchRequestEntry in the request.');
+
+      if (ids.length > 10) {
+        throw this._createSqsError('AWS.SimpleQueueService.TooManyEntriesInBatchRequest', `Maximum number of entries per request are 10. You have sent ${ids.length}.`);
+      }
+
+      if (_.uniq(ids).length !== ids.length) {
+        throw this._createSqsError('AWS.SimpleQueueService.BatchEntryIdsNotDistinct', 'Two or more batch entries in the request have the same Id.');
+      }
+
+      ids.forEach((id, i) => {
+        try {
+          const message = this._sendSqsEntry(queue, params, `SendMessageBatchRequestEntry.${i + 1}.`);
+
+          result.SendMessageBatchResultEntry.push({
+            Id: id,
+            MessageId: message.messageId,
+            MD5OfMessageBody: message.md5OfBody,
+            MD5OfMessageAttributes: message.md5OfMessageAttributes,
+          });
+        }
+        catch (err) {
+          if (!err.sqsCode) throw err;
+
+          result.BatchResultErrorEntry.push({ Id: id, SenderFault: true, Code: err.sqsCode, Message: err.message });
+        }
+      });
+
+      return result;
+    }
+
+    // The parameters of a message, prefixed with "SendMessageBatchRequestEntry.1." in batches
+    _sendSqsEntry(queue, params, prefix) {
+
+      const body = params[`${prefix}MessageBody`];
+      const delaySeconds = params[`${prefix}DelaySeconds`] === undefined ? 0 : Number(params[`${prefix}DelaySeconds`]);
+      let messageAttributes;
+
+      if (!body) throw this._createSqsError('MissingParameter', 'The request must contain the parameter MessageBody.');
+
+      if (!(delaySeconds >= 0 && delaySeconds <= 900)) {
+        throw this._createSqsError('InvalidParameterValue', `Value ${params[`${prefix}DelaySeconds`]} for parameter DelaySeconds is invalid. Reason: must be between 0 and 900, if provided.`);
+      }
+
+      try {
+        messageAttributes = parseMessageAttributes(params, `${prefix}MessageAttribute.`);
+      }
+      catch (err) {
+        throw this._createSqsError('InvalidParameterValue', err.message);
+      }
+
+      const message = queue.send(body, messageAttributes, delaySeconds);
+
+      serverlessLog(`SQS message ${message.messageId} sent to ${queue.name}`);
+
+      return message;
+    }
+
+    // Long polling: with WaitTimeSeconds, waits for messages
+    _receiveSqsMessages(params, queueName) {
+
+      const queue = this._getSqsQueue(queueName, 'QueueUrl');
+      const maxNumberOfMessages = params.MaxNumberOfMessages === undefined ? 1 : Number(params.MaxNumberOfMessages);
+      const visibilityTimeout = params.VisibilityTimeout === undefined ? undefined : Number(params.VisibilityTimeout);
+      const waitTimeSeconds = Number(params.WaitTimeSeconds || 0);
+      const list = prefix => Object.keys(params).filter(key => key.startsWith(prefix)).map(key => params[key]);
+      const attributeNames = list('AttributeName.');
+      const messageAttributeNames = list('MessageAttributeName.');
+      const deadline = Date.now() + waitTimeSeconds * 1000;
+
+      if (!(maxNumberOfMessages >= 1 && maxNumberOfMessages <= 10)) {
+        throw this._createSqsError('ReadCountOutOfRange', `Value ${params.MaxNumberOfMessages} for parameter MaxNumberOfMessages is invalid. Reason: Must be between 1 and 10, if provided.`);
+      }
+
+      if (!(waitTimeSeconds >= 0 && waitTimeSeconds <= 20)) {
+        throw this._createSqsError('InvalidParameterValue', `Value ${params.WaitTimeSeconds} for parameter WaitTimeSeconds is invalid. Reason: Must be >= 0 and <= 20, if provided.`);
+      }
+
+      const receive = () => {
+        const messages = queue.receive(maxNumberOfMessages, visibilityTimeout);
+
+        if (!messages.length && Date.now() < deadline && !this.isStopped) return new Promise(resolve => setTimeout(resolve, 100)).then(receive);
+
+        return { Message: messages.map(message => this._getSqsMessageResult(message, attributeNames, messageAttributeNames)) };
+      };
+
+      return receive();
+    }
+
+    // Like SQS, only the requested attributes: names, "All", or prefixes like "order.*"
+    _getSqsMessageResult(message, attributeNames, messageAttributeNames) {
+
+      const isRequested = (names, name) => names.some(requestedName => requestedName === 'All' || requestedName === '.*' || requestedName === name ||
+        requestedName.endsWith('.*') && name.startsWith(requestedName.slice(0, -1)));
+
+      const attributes = {
+        SenderId: 'offlineContext_senderId',
+        SentTimestamp: message.sentTimestamp,
+        ApproximateReceiveCount: message.receiveCount,
+        ApproximateFirstReceiveTimestamp: message.firstReceiveTimestamp,
+      };
+
+      const messageAttributeKeys = Object.keys(message.messageAttributes).filter(name => isRequested(messageAttributeNames, name));
+
+      return {
+        MessageId: message.messageId,
+        ReceiptHandle: message.receiptHandle,
+        MD5OfBody: message.md5OfBody,
+        Body: message.body,
+        Attribute: Object.keys(attributes).filter(name => isRequested(attributeNames, name)).map(name => ({ Name: name, Value: attributes[name] })),
+        MD5OfMessageAttributes: messageAttributeKeys.length ? message.md5OfMessageAttributes : undefined,
+        MessageAttribute: messageAttributeKeys.map(name => ({ Name: name, Value: message.messageAttributes[name] })),
+      };
+    }
+
+    _deleteSqsMessage(params, queueName) {
+
+      const queue = this._getSqsQueue(queueName, 'QueueUrl');
+
+      if (!params.ReceiptHandle) throw this._createSqsError('MissingParameter', 'The request must contain the parameter ReceiptHandle.');
+
+      if (!queue.delete(params.ReceiptHandle)) {
+        throw this._createSqsError('ReceiptHandleIsInvalid', `The input receipt handle "${params.ReceiptHandle}" is not a valid receipt handle.`);
+      }
+
+      return {};
+    }
+
+    _replyQueues(request, reply) {
+
+      const queueName = request.params.queueName;
+      const now = Date.now();
+      const describe = queue => ({
+        name: queue.name,
+        messages: queue.list().map(message => ({
+          messageId: message.messageId,
+          body: message.body,
+          messageAttributes: message.messageAttributes,
+          sentTimestamp: message.sentTimestamp,
+          receiveCount: message.receiveCount,
+          isVisible: message.visibleTimestamp <= now,
+        })),
+      });
+
+      if (queueName && !this.queues[queueName]) {
+        return reply({ statusCode: 404, error: `Serverless-offline: queue ${queueName} not found.` }).code(404);
+      }
+
+      reply(queueName ? describe(this.queues[queueName]) : Object.keys(this.queues).map(key => describe(this.queues[key])));
+    }
+
+    // Stream events keep their position in their stream, new ones start at their startingPosition
+    _swapStreamEvents(streamEvents) {
+
+      this.streamEvents = streamEvents;
+
+      streamEvents.forEach(streamEvent => {
+
+        const stream = this._createStream(streamEvent.streamName);
+
+        streamEvent.positionKey = `${streamEvent.key} ${streamEvent.streamName}`;
+
+        if (this.streamPositions[streamEvent.positionKey] === undefined) {
+          this.streamPositions[streamEvent.positionKey] = streamEvent.startingPosition === 'LATEST' ? stream.records.length : 0;
+        }
+      });
+    }
+
+    // Streams keep their records across reloads, one per line appended to their file
+    _createStream(streamName) {
+
+      if (this.streams[streamName]) return this.streams[streamName];
+
+      const filePath = path.join(this.streamsDirectory, `${streamName}.jsonl`);
+      const stream = this.streams[streamName] = { name: streamName, records: [] };
+
+      serverlessLog(`Stream ${streamName}: ${filePath}`);
+
+      stream.tailer = createFileTailer(filePath, 500, lines => lines.forEach(line => {
+        let value;
+
+        try {
+          value = JSON.parse(line);
+        }
+        catch (err) {
+          value = null;
+        }
+
+        if (isPlainObject(value)) this._putStreamRecord(stream, value);
+        else serverlessLog(`Warning: ignoring line of ${filePath}, it is not a JSON object: ${line}`);
+      }));
+
+      return stream;
+    }
+
+    // Sequence numbers are fixed-length numeric strings, increasing like a shard's
+    _putStreamRecord(stream, value) {
+
+      const record = {
+        sequenceNumber: `00000000000000000000${stream.records.length + 1}`.slice(-21),
+        arrivalTimestamp: Date.now(),
+        value,
+      };
+
+      stream.records.push(record);
+
+      return record;
+    }
+
+    // Like Lambda's pollers, each stream event gets batches of its stream's records, one batch at a time
+    _pollStreams() {
+      this.streamTimer = setInterval(() => this.streamEvents.forEach(streamEvent => this._pollStreamEvent(streamEvent)), 500);
+    }
+
+    // Like shard iterators, records are handled in order: a failed batch is retried until it succeeds
+    _pollStreamEvent(streamEvent) {
+
+      const positionKey = streamEvent.positionKey;
+      const position = this.streamPositions[positionKey];
+      const records = this.streams[streamEvent.streamName].records.slice(position, position + streamEvent.batchSize);
+
+      if (this.isStopped || this.pollingStreamEvents[positionKey] || !records.length) return;
+
+      const requestId = Math.random().toString().slice(2);
+      const event = createStreamEvent(streamEvent.streamType, records, streamEvent.streamArn, this.options.region);
+
+      console.log();
+      serverlessLog(`Stream ${streamEvent.streamName}: ${records.length} record(s) from ${records[0].sequenceNumber} (λ: ${streamEvent.funName})`);
+      debugLog('requestId:', requestId);
+      debugLog('event:', event);
+
+      event.isOffline = true;
+      this.pollingStreamEvents[positionKey] = true;
+
+      this._invokeFunction(requestId, streamEvent.funName, event, (err, data) => {
+        this._logInvocationResult(err, data);
+        delete this.pollingStreamEvents[positionKey];
+
+        if (err) return serverlessLog('The batch will be retried');
+
+        this.streamPositions[positionKey] = position + records.length;
+
+        // The event may have been removed by a reload
+        if (this.streamEvents.indexOf(streamEvent) !== -1) this._pollStreamEvent(streamEvent);
+      });
+    }
+
+    // For the AWS SDK's Kinesis client, with http://localhost:3000/_offline/kinesis as endpoint
+    _createKinesisRoute() {
+      this.server.route({
+        method: 'POST',
+        path: '/_offline/kinesis',
+        config: {
+          cors: false,
+          payload: { parse: false },
+        },
+        handler: (request, reply) => this._handleKinesisRequest(request, reply),
+      });
+    }
+
+    // Only the PutRecord and PutRecords actions are emulated, on the streams of kinesisstream events
+    _handleKinesisRequest(request, reply) {
+
+      const action = String(request.headers['x-amz-target']).split('.').pop();
+      const replyError = (code, message) => {
+        serverlessLog(`[400] ${code}: ${message}`);
+
+        reply({ __type: code, message }).type('application/x-amz-json-1.1').code(400);
+      };
+      let params;
+
+      try {
+        params = JSON.parse((request.payload || '').toString());
+      }
+      catch (err) {
+        return replyError('SerializationException', 'Invalid JSON');
+      }
+
+      if (!isPlainObject(params)) return replyError('SerializationException', 'The request body must be a JSON object');
+
+      debugLog(`Kinesis ${action} ${params.StreamName}`);
+
+      if (action !== 'PutRecord' && action !== 'PutRecords') return replyError('UnknownOperationException', `Unknown operation ${action}`);
+
+      if (!this.streamEvents.some(streamEvent => streamEvent.streamType === 'kinesis' && streamEvent.streamName === params.StreamName)) {
+        return replyError('ResourceNotFoundException', `Stream ${params.StreamName} under account offlineContext_accountId not found.`);
+      }
+
+      const entries = action === 'PutRecord' ? [params] : params.Records;
+
+      if (!Array.isArray(entries) || !entries.length || entries.some(entry => !isPlainObject(entry) || typeof entry.Data !== 'string' || !entry.PartitionKey)) {
+        return replyError('ValidationException', 'Records must have a Data (base64) and a PartitionKey');
+      }
+
+      const stream = this.streams[params.StreamName];
+      const results = entries.map(entry => {
+        const record = this._putStreamRecord(stream, { partitionKey: entry.PartitionKey, data: new Buffer(entry.Data, 'base64') });
+
+        return { ShardId: 'shardId-000000000000', SequenceNumber: record.sequenceNumber };
+      });
+
+      serverlessLog(`Kinesis ${results.length} record(s) put to ${stream.name}`);
+
+      reply(action === 'PutRecord' ? results[0] : { FailedRecordCount: 0, Records: results }).type('application/x-amz-json-1.1');
+    }
+
+    _replyQueryResult(reply, namespace, action, result, requestId) {
+      reply(`<?xml version="1.0"?><${action}Response xmlns="${namespace}">` +
+        toXml({ [`${action}Result`]: result, ResponseMetadata: { RequestId: requestId } }) +
+        `</${action}Response>`).type('text/xml');
+    }
+
+    _replyQueryError(reply, namespace, statusCode, code, message, requestId) {
+      serverlessLog(`[${statusCode}] ${code}: ${message}`);
+
+      reply(`<?xml version="1.0"?><ErrorResponse xmlns="${namespace}">` +
+        toXml({ Error: { Type: 'Sender', Code: code, Message: message }, RequestId: requestId }) +
+        '</ErrorResponse>').type('text/xml').code(statusCode);
+    }
+
+    _create404Route() {
+      this.server.route({
+        method: '*',
+        path: '/{p*}',
+        config: { cors: false },
+        handler: (request, reply) => this._replyNotFound(request, reply),
+      });
+    }
+
+    _replyNotFound(request, reply) {
+
+      // The routes of the current table, Hapi's one also holds the removed ones
+      const existingRoutes = Object.keys(this.routes)
+        .concat(Object.keys(this.corsPaths).map(path => `OPTIONS ${path}`).filter(key => !this.routes[key]))
+        .map(key => ({ method: key.split(' ')[0].toLowerCase(), path: key.slice(key.indexOf(' ') + 1) }));
+
+      const response = reply({
+        statusCode: 404,
+        error: 'Serverless-offline: route not found.',
+        currentRoute: `${request.method} - ${request.path}`,
+        existingRoutes: existingRoutes
+          .sort((a, b) => a.path <= b.path ? -1 : 1) // Sort by path
+          .map(route => `${route.method} - ${route.path}`), // Human-friendly result
+      });
+      response.statusCode = 404;
+    }
+
+    _getArrayStackTrace(stack) {
+      if (!stack) return null;
+
+      const splittedStack = stack.split('\n');
+
+      return splittedStack.slice(0, splittedStack.findIndex(item => item.match(/server.route.handler.createLambdaContext/))).map(line => line.trim());
+    }
+  };
+};
+
+/*
+  Programmatic API, for tests: starts offline with the cli's options ({ port: 0 } for a random port)
+  options.projectPath: the Serverless v0.5 project to load, the current directory by default
+  options.serverless: an initialized Serverless v0.5 instance, used instead of loading the project
+  Resolves with { server (Hapi), port, stop() }, rejects on errors
+*/
+module.exports.start = options => {
+
+  const startOptions = options || {};
+  const loading = startOptions.serverless ?
+    Promise.resolve(startOptions.serverless) :
+    Promise.resolve().then(() => loadServerless(startOptions.projectPath || process.cwd()));
+
+  return loading.then(S => {
+    const Offline = module.exports(S);
+    const offline = new Offline();
+
+    return offline.run(startOptions).then(() => ({
+      server: offline.server,
+      port: offline.port,
+      stop: () => offline.stop(),
+    }));
+  });
+};
+
+// With the project's own Serverless, like the sls command, or else the one installed with the plugin
+function loadServerless(projectPath) {
+
+  const path = require('path');
+  let Serverless;
+
+  try {
+    Serverless = require(path.join(path.resolve(projectPath), 'node_modules', 'serverless'));
+  }
+  catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    Serverless = require('serverless');
+  }
+
+  const S = new Serverless({ projectPath: path.resolve(projectPath), interactive: false });
+
+  return S.init().then(() => S);
+}
@@ -0,0 +1,114 @@
+'use strict';
+
+const childProcess = require('child_process');
+const path = require('path');
+
+const debugLog = require('./debugLog');
+const createLambdaContext = require('./createLambdaContext');
+
+const bootstrapPath = path.join(__dirname, 'pythonBootstrap.py');
+
+/*
+  Calls a Python handler in a local python 2.7 interpreter
+  The event and a Lambda-like context go in as JSON, the result or the exception comes back the same way
+  env: the interpreter's env vars, the function's ones included
+  callback(err, data, output): output is what the handler printed
+  Returns a function that kills the interpreter
+*/
+module.exports = function invokePythonHandler(fun, handlerPath, handlerName, event, env, callback) {
+
+  // The bootstrap maps these to the snake_case attributes of the Python context
+  const lambdaContext = createLambdaContext(fun);
+  const context = {
+    functionName: lambdaContext.functionName,
+    functionVersion: lambdaContext.functionVersion,
+    invokedFunctionArn: lambdaContext.invokedFunctionArn,
+    memoryLimitInMB: lambdaContext.memoryLimitInMB,
+    awsRequestId: lambdaContext.awsRequestId,
+    logGroupName: lambdaContext.logGroupName,
+    logStreamName: lambdaContext.logStreamName,
+    deadline: Date.now() + lambdaContext.getRemainingTimeInMillis(),
+  };
+
+  let python;
+  let isDone = false;
+  let output = '';
+  let logs = '';
+
+  const done = (err, data) => {
+    if (isDone) return;
+    isDone = true;
+    callback(err, data, logs);
+  };
+
+  const fail = message => {
+    const error = new Error(message);
+
+    error.offlineMessage = `Error while running the python handler for '${fun.name}'`;
+    done(error, null);
+  };
+
+  // Like Lambda's runtime, python2.7 (or python2), not the default python which can be 3.x
+  const spawn = interpreters => {
+
+    let hasFailed = false;
+
+    debugLog(`Spawning ${interpreters[0]} for '${fun.name}' (${handlerPath}.${handlerName})`);
+
+    python = childProcess.spawn(interpreters[0], [bootstrapPath, handlerPath, handlerName], {
+      env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    // The handler's logs
+    python.stderr.pipe(process.stderr, { end: false });
+    python.stderr.on('data', chunk => logs += chunk);
+
+    python.stdout.on('data', chunk => output += chunk);
+
+    python.on('error', err => {
+      hasFailed = true;
+
+      if (err.code === 'ENOENT' && interpreters.length > 1) return spawn(interpreters.slice(1));
+
+      fail(err.code === 'ENOENT' ? 'Could not find python2.7 or python2 in your PATH' : `Could not spawn ${interpreters[0]}: ${err.message}`);
+    });
+
+    python.on('close', (code, signal) => {
+      if (hasFailed) return; // Not spawned, or already failed
+
+      debugLog(`Python for '${fun.name}' exited with code ${code} (${signal})`);
+
+      let parsed;
+
+      try {
+        parsed = JSON.parse(output);
+      }
+      catch (err) {
+        return fail(`Python exited with code ${code} without a valid result`);
+      }
+
+      if (parsed.errorType) {
+        const error = new Error(parsed.errorMessage);
+
+        error.errorType = parsed.errorType;
+        error.stack = parsed.stackTrace;
+
+        return done(error, null);
+      }
+
+      done(null, parsed.result);
+    });
+
+    // The interpreter may die before reading its input, 'close' will handle it
+    python.stdin.on('error', err => debugLog('Python stdin error:', err.message));
+    python.stdin.end(JSON.stringify({ event, context }));
+  };
+
+  spawn(['python2.7', 'python2']);
+
+  return () => {
+    debugLog(`Killing python for '${fun.name}'`);
+    python.kill('SIGKILL');
+  };
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+/*
+  Tells if a media type is among APIG's binaryMediaTypes
+  Those support wildcards, like "image/*"
+  mediaType: a Content-Type, or an Accept header, where APIG only looks at the first media range
+*/
+module.exports = function isBinaryMediaType(mediaType, binaryMediaTypes) {
+
+  if (!mediaType || !binaryMediaTypes) return false;
+
+  const parts = mediaType.split(',')[0].split(';')[0].trim().toLowerCase().split('/');
+
+  return binaryMediaTypes.some(binaryMediaType => {
+    const binaryParts = binaryMediaType.toLowerCase().split('/');
+
+    return (binaryParts[0] === '*' || binaryParts[0] === parts[0]) && (binaryParts[1] === '*' || binaryParts[1] === parts[1]);
+  });
+};
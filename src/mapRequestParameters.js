@@ -0,0 +1,34 @@
+'use strict';
+
+const _ = require('lodash');
+const getRequestParameter = require('./getRequestParameter');
+
+/*
+  Applies an endpoint's integration request mappings, like "integration.request.header.X-User": "method.request.querystring.user"
+  Values can also be 'static', context.* or stageVariables.*
+  Returns the mapped parameters by location: { header, querystring, path }
+  sources: { context, stageVariables }
+*/
+module.exports = function mapRequestParameters(request, requestParameters, sources) {
+
+  const result = { header: {}, querystring: {}, path: {} };
+
+  Object.keys(requestParameters || {})
+    .filter(key => key.startsWith('integration.request.'))
+    .forEach(key => {
+      const parts = key.split('.');
+      const location = parts[2];
+      const name = parts.slice(3).join('.');
+      const expression = String(requestParameters[key]);
+      let value;
+
+      if (/^'.*'$/.test(expression)) value = expression.slice(1, -1);
+      else if (expression.startsWith('method.request.')) value = getRequestParameter(request, expression);
+      else if (expression.startsWith('context.')) value = _.get(sources.context, expression.split('.').slice(1));
+      else if (expression.startsWith('stageVariables.')) value = (sources.stageVariables || {})[expression.slice('stageVariables.'.length)];
+
+      if (value !== undefined && value !== null && result[location]) result[location][name] = String(value);
+    });
+
+  return result;
+};
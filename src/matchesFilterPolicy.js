@@ -0,0 +1,87 @@
+'use strict';
+
+// The operators of numeric conditions
+const comparators = {
+  '=': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+/*
+  Tells whether an SNS message's attributes match a subscription's filter policy:
+  every attribute of the policy must match one of its values
+  Values: "string", 42, { "anything-but": ["a", "b"] }, { "prefix": "a" }, { "numeric": [">=", 0, "<", 10] }, { "exists": false }
+  http://docs.aws.amazon.com/sns/latest/dg/message-filtering.html
+*/
+module.exports = function matchesFilterPolicy(filterPolicy, messageAttributes) {
+
+  if (!filterPolicy) return true;
+
+  return Object.keys(filterPolicy).every(name => {
+
+    const attribute = messageAttributes[name];
+    const conditions = Array.isArray(filterPolicy[name]) ? filterPolicy[name] : [filterPolicy[name]];
+    const values = getValues(attribute);
+
+    return conditions.some(condition => {
+
+      if (condition && condition.exists !== undefined) return condition.exists === !!attribute;
+
+      return values.some(value => matchesCondition(condition, value));
+    });
+  });
+};
+
+// String.Array attributes match when one of their values does, binary ones never match
+function getValues(attribute) {
+
+  const type = attribute && attribute.Type.split('.')[0]; // Custom types: "Number.float"
+
+  if (!attribute || type === 'Binary') return [];
+
+  if (type === 'Number') return [Number(attribute.Value)];
+
+  if (attribute.Type === 'String.Array') {
+    try {
+      const values = JSON.parse(attribute.Value);
+
+      return Array.isArray(values) ? values : [];
+    }
+    catch (err) {
+      return [];
+    }
+  }
+
+  return [attribute.Value];
+}
+
+function matchesCondition(condition, value) {
+
+  if (condition === null || typeof condition !== 'object') return condition === value;
+
+  if (condition['anything-but'] !== undefined) {
+    const excluded = [].concat(condition['anything-but']);
+
+    return excluded.indexOf(value) === -1;
+  }
+
+  if (condition.prefix !== undefined) return typeof value === 'string' && value.startsWith(condition.prefix);
+
+  if (condition.numeric) return typeof value === 'number' && matchesNumeric(condition.numeric, value);
+
+  return false;
+}
+
+// [">", 0, "<=", 5] or ["=", 42]
+function matchesNumeric(operations, value) {
+
+  for (let i = 0; i < operations.length; i += 2) {
+    const compare = comparators[operations[i]];
+
+    if (!compare || !compare(value, Number(operations[i + 1]))) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,46 @@
+'use strict';
+
+/*
+  Returns the content type (among the response templates' ones) that best matches a request's Accept header
+  Like APIG, falls back to application/json when there is no Accept header, or when nothing matches, then to the first one
+*/
+module.exports = function negotiateContentType(accept, contentTypes) {
+
+  if (!contentTypes.length) return;
+
+  const fallback = contentTypes.indexOf('application/json') !== -1 ? 'application/json' : contentTypes[0];
+
+  if (!accept) return fallback;
+
+  // "text/html, application/xml;q=0.9, */*;q=0.8" --> by quality, then specificity, then order
+  const mediaRanges = accept.split(',')
+    .map((x, i) => {
+      const parts = x.split(';').map(y => y.trim());
+      const qualityParam = parts.slice(1).filter(y => y.startsWith('q='))[0];
+
+      return {
+        mediaRange: parts[0].toLowerCase(),
+        quality: qualityParam ? parseFloat(qualityParam.slice(2)) : 1,
+        specificity: parts[0] === '*/*' ? 0 : parts[0].endsWith('/*') ? 1 : 2,
+        order: i,
+      };
+    })
+    .filter(x => x.mediaRange && x.quality > 0)
+    .sort((a, b) => b.quality - a.quality || b.specificity - a.specificity || a.order - b.order);
+
+  for (let i = 0; i < mediaRanges.length; i++) {
+    const mediaRange = mediaRanges[i].mediaRange;
+
+    if (mediaRange === '*/*') return fallback;
+
+    const match = contentTypes.filter(contentType => {
+      const type = contentType.split(';')[0].trim().toLowerCase();
+
+      return mediaRange.endsWith('/*') ? type.startsWith(mediaRange.slice(0, -1)) : type === mediaRange;
+    })[0];
+
+    if (match) return match;
+  }
+
+  return fallback;
+};
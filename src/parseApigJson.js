@@ -0,0 +1,61 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/*
+  Parses JSON the way APIG's $input.path reads it: numbers are Java ones
+  Decimals are doubles, rendered like Java's Double.toString ("1.0", "1.0E-4"), integers beyond JavaScript's precision keep their digits
+  Those numbers are Number objects with a non-enumerable javaString, for the Velocity renderer and $input.json
+  Throws on invalid JSON
+*/
+module.exports = function parseApigJson(text) {
+
+  // Strings come first in the pattern: the numbers they contain are left alone
+  // Other numbers are replaced with strings holding a random marker, the reviver turns them back into numbers
+  const marker = crypto.randomBytes(16).toString('hex');
+  const numbers = [];
+
+  const markedText = text.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, token => {
+    if (token[0] === '"' || !isJavaNumber(token)) return token;
+
+    numbers.push(token);
+
+    return `"${marker}${numbers.length - 1}"`;
+  });
+
+  return JSON.parse(markedText, (key, value) => {
+    if (typeof value !== 'string' || !value.startsWith(marker)) return value;
+
+    const token = numbers[Number(value.slice(marker.length))];
+    const number = new Number(token); // eslint-disable-line no-new-wrappers
+
+    Object.defineProperty(number, 'javaString', { value: /[.eE]/.test(token) ? formatDouble(Number(token)) : token });
+
+    return number;
+  });
+};
+
+// Decimals, and integers JavaScript cannot hold
+function isJavaNumber(token) {
+  return /[.eE]/.test(token) || !Number.isSafeInteger(Number(token));
+}
+
+// Like Java's Double.toString
+function formatDouble(number) {
+
+  if (number === 0) return 1 / number < 0 ? '-0.0' : '0.0';
+  if (!isFinite(number)) return number > 0 ? 'Infinity' : '-Infinity';
+
+  const absolute = Math.abs(number);
+
+  if (absolute >= 1e-3 && absolute < 1e7) {
+    const string = String(number);
+
+    return string.indexOf('.') === -1 ? `${string}.0` : string;
+  }
+
+  const parts = number.toExponential().split('e');
+  const mantissa = parts[0].indexOf('.') === -1 ? `${parts[0]}.0` : parts[0];
+
+  return `${mantissa}E${parts[1].replace('+', '')}`;
+}
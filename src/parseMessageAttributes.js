@@ -0,0 +1,38 @@
+'use strict';
+
+/*
+  Reads the message attributes of a query API request (SNS, SQS), throws on invalid ones
+  "MessageAttributes.entry.1.Name", "MessageAttributes.entry.1.Value.DataType", "MessageAttributes.entry.1.Value.StringValue"...
+  --> { name: { DataType, StringValue, BinaryValue } }
+*/
+module.exports = function parseMessageAttributes(params, prefix) {
+
+  const messageAttributes = {};
+
+  for (let i = 1; params[`${prefix}${i}.Name`] !== undefined; i++) {
+
+    const name = params[`${prefix}${i}.Name`];
+    const dataType = params[`${prefix}${i}.Value.DataType`] || '';
+    const stringValue = params[`${prefix}${i}.Value.StringValue`];
+    const binaryValue = params[`${prefix}${i}.Value.BinaryValue`];
+    const type = dataType.split('.')[0]; // Custom types: "Number.float"
+
+    if (['String', 'Number', 'Binary'].indexOf(type) === -1) {
+      throw new Error(`The message attribute '${name}' has an invalid message attribute type, the set of supported type prefixes is Binary, Number, and String.`);
+    }
+
+    if (type === 'Binary' ? !binaryValue : !stringValue) {
+      throw new Error(`The message attribute '${name}' must contain non-empty message attribute value for message attribute type '${dataType}'.`);
+    }
+
+    if (type === 'Number' && isNaN(Number(stringValue))) {
+      throw new Error(`Could not cast message attribute '${name}' value to number.`);
+    }
+
+    messageAttributes[name] = type === 'Binary' ?
+      { DataType: dataType, BinaryValue: binaryValue } :
+      { DataType: dataType, StringValue: stringValue };
+  }
+
+  return messageAttributes;
+};
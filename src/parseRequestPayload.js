@@ -0,0 +1,24 @@
+'use strict';
+
+const querystring = require('querystring');
+
+const isBinaryMediaType = require('./isBinaryMediaType');
+
+/*
+  Returns the payload request templates work with, from the raw one
+  Like APIG's CONVERT_TO_TEXT, payloads of binary media types are base64 encoded
+  Throws when a JSON payload cannot be parsed
+*/
+module.exports = function parseRequestPayload(payload, contentType, binaryMediaTypes) {
+
+  if (!Buffer.isBuffer(payload) || !payload.length) return payload || null;
+
+  if (isBinaryMediaType(contentType, binaryMediaTypes)) return payload.toString('base64');
+
+  const text = payload.toString('utf8');
+
+  if (/^application\/(?:.+\+)?json$/.test(contentType)) return JSON.parse(text);
+  if (contentType === 'application/x-www-form-urlencoded') return querystring.parse(text);
+
+  return text;
+};
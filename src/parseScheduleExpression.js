@@ -0,0 +1,183 @@
+'use strict';
+
+const dayLength = 24 * 60 * 60 * 1000;
+const rateUnits = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: dayLength };
+const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/*
+  Parses a CloudWatch Events schedule expression: "rate(5 minutes)" or "cron(0 12 ? * MON-FRI *)" (UTC)
+  Returns a function giving the time of the schedule's next event after a given time, Infinity once it is over
+  http://docs.aws.amazon.com/AmazonCloudWatch/latest/events/ScheduledEvents.html
+*/
+module.exports = function parseScheduleExpression(expression) {
+
+  const match = /^(rate|cron)\((.*)\)$/.exec(String(expression).trim());
+
+  if (!match) throw new Error(`Invalid schedule expression "${expression}": rate(...) or cron(...) expected`);
+
+  try {
+    return match[1] === 'rate' ? parseRate(match[2]) : parseCron(match[2]);
+  }
+  catch (err) {
+    throw new Error(`Invalid schedule expression "${expression}": ${err.message}`);
+  }
+};
+
+// Rates start when the schedule is created
+function parseRate(rate) {
+
+  const match = /^(\d+) (minute|hour|day)s?$/.exec(rate.trim());
+
+  if (!match || !(Number(match[1]) > 0)) throw new Error('a positive number of minutes, hours or days expected');
+
+  const period = match[1] * rateUnits[match[2]];
+
+  return time => time + period;
+}
+
+// Minutes Hours Day-of-month Month Day-of-week Year
+function parseCron(cron) {
+
+  const fields = cron.trim().split(/\s+/);
+
+  if (fields.length !== 6) throw new Error('6 fields expected');
+  if ((fields[2] === '?') === (fields[4] === '?')) throw new Error('either the day-of-month or the day-of-week field must be "?"');
+
+  const minutes = parseValues(fields[0], 0, 59);
+  const hours = parseValues(fields[1], 0, 23);
+  const months = parseValues(fields[3], 1, 12, monthNames);
+  const years = parseValues(fields[5], 1970, 2199);
+  const matchesDay = fields[2] === '?' ? parseDaysOfWeek(fields[4]) : parseDaysOfMonth(fields[2]);
+
+  return time => {
+
+    // Events happen at the start of a minute, strictly after the given time
+    const startTime = Math.floor(time / 60000) * 60000 + 60000;
+    const startDate = new Date(startTime);
+
+    for (let day = Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()); ; day += dayLength) {
+      const date = new Date(day);
+      const year = date.getUTCFullYear();
+
+      if (year > years[years.length - 1]) return Infinity;
+
+      if (years.indexOf(year) === -1 || months.indexOf(date.getUTCMonth() + 1) === -1 || !matchesDay(date)) continue;
+
+      for (let i = 0; i < hours.length; i++) {
+        for (let j = 0; j < minutes.length; j++) {
+          const eventTime = day + hours[i] * rateUnits.hour + minutes[j] * rateUnits.minute;
+
+          if (eventTime >= startTime) return eventTime;
+        }
+      }
+    }
+  };
+}
+
+// "*", "5", "1-5", "*/10", "10-40/5", "JAN,MAR" --> sorted values
+function parseValues(field, min, max, names) {
+
+  const values = [];
+
+  field.split(',').forEach(part => {
+
+    const match = /^(?:(\*)|(\w+)(?:-(\w+))?)(?:\/(\d+))?$/.exec(part);
+
+    if (!match) throw new Error(`invalid value "${part}"`);
+
+    const start = match[1] ? min : parseValue(match[2], min, max, names);
+    const end = match[3] ? parseValue(match[3], min, max, names) : match[1] || match[4] ? max : start;
+    const step = match[4] ? Number(match[4]) : 1;
+
+    if (start > end || step < 1) throw new Error(`invalid range "${part}"`);
+
+    for (let value = start; value <= end; value += step) {
+      if (values.indexOf(value) === -1) values.push(value);
+    }
+  });
+
+  return values.sort((a, b) => a - b);
+}
+
+function parseValue(value, min, max, names) {
+
+  const nameIndex = names ? names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex !== -1 ? nameIndex + min : /^\d+$/.test(value) ? Number(value) : NaN;
+
+  if (!(number >= min && number <= max)) throw new Error(`invalid value "${value}"`);
+
+  return number;
+}
+
+// Also "L" (last day of the month), "LW" (last weekday of the month) and "15W" (weekday nearest to the 15th)
+function parseDaysOfMonth(field) {
+
+  const matchers = field.split(',').map(part => {
+
+    const weekdayMatch = /^(\d+)W$/.exec(part);
+
+    if (part === 'L') return date => date.getUTCDate() === getLastDay(date);
+    if (part === 'LW') return date => date.getUTCDate() === getNearestWeekday(date, getLastDay(date));
+    if (weekdayMatch) {
+      const day = parseValue(weekdayMatch[1], 1, 31);
+
+      return date => date.getUTCDate() === getNearestWeekday(date, day);
+    }
+
+    const days = parseValues(part, 1, 31);
+
+    return date => days.indexOf(date.getUTCDate()) !== -1;
+  });
+
+  return date => matchers.some(matcher => matcher(date));
+}
+
+// 1-7 or SUN-SAT, also "L" (Saturday), "6L" (last Friday of the month) and "6#3" (third Friday of the month)
+function parseDaysOfWeek(field) {
+
+  const matchers = field.split(',').map(part => {
+
+    const lastMatch = /^(\w+)L$/.exec(part);
+    const nthMatch = /^(\w+)#([1-5])$/.exec(part);
+    const getDayOfWeek = date => date.getUTCDay() + 1;
+
+    if (part === 'L') return date => getDayOfWeek(date) === 7;
+    if (lastMatch) {
+      const dayOfWeek = parseValue(lastMatch[1], 1, 7, dayNames);
+
+      return date => getDayOfWeek(date) === dayOfWeek && date.getUTCDate() + 7 > getLastDay(date);
+    }
+    if (nthMatch) {
+      const dayOfWeek = parseValue(nthMatch[1], 1, 7, dayNames);
+      const nth = Number(nthMatch[2]);
+
+      return date => getDayOfWeek(date) === dayOfWeek && Math.ceil(date.getUTCDate() / 7) === nth;
+    }
+
+    const daysOfWeek = parseValues(part, 1, 7, dayNames);
+
+    return date => daysOfWeek.indexOf(getDayOfWeek(date)) !== -1;
+  });
+
+  return date => matchers.some(matcher => matcher(date));
+}
+
+function getLastDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+// The weekday nearest to the given day of the date's month, without leaving the month
+function getNearestWeekday(date, day) {
+
+  const lastDay = getLastDay(date);
+
+  if (day > lastDay) return null;
+
+  const dayOfWeek = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), day)).getUTCDay();
+
+  if (dayOfWeek === 6) return day === 1 ? 3 : day - 1; // Saturday
+  if (dayOfWeek === 0) return day === lastDay ? day - 2 : day + 1; // Sunday
+
+  return day;
+}
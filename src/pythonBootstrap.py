@@ -0,0 +1,71 @@
+"""
+  Spawned by invokePythonHandler.js (also used by next_version)
+  Reads { event, context } as JSON on stdin, calls the handler
+  and writes its result (or exception) as JSON on stdout.
+  Anything the handler prints goes to stderr, just like logs.
+"""
+
+import json
+import os
+import sys
+import time
+import traceback
+
+
+class LambdaContext(object):
+    """Mimicks the Python lambda context object"""
+
+    def __init__(self, context):
+        self.function_name = context['functionName']
+        self.function_version = context['functionVersion']
+        self.invoked_function_arn = context['invokedFunctionArn']
+        self.memory_limit_in_mb = context.get('memoryLimitInMB')
+        self.aws_request_id = context['awsRequestId']
+        self.log_group_name = context['logGroupName']
+        self.log_stream_name = context['logStreamName']
+        self.identity = None
+        self.client_context = None
+        self._deadline = context['deadline']
+
+    def get_remaining_time_in_millis(self):
+        return max(int(self._deadline - time.time() * 1000), 0)
+
+
+def format_stack_trace(exc_type, exc_value, exc_traceback):
+    """Like Lambda's, the traceback starts in the handler's code, not in this file"""
+
+    bootstrap_path = os.path.abspath(__file__)
+    frames = [frame for frame in traceback.extract_tb(exc_traceback) if os.path.abspath(frame[0]) != bootstrap_path]
+
+    return ''.join(['Traceback (most recent call last):\n'] +
+                   traceback.format_list(frames) +
+                   traceback.format_exception_only(exc_type, exc_value))
+
+
+def main():
+    handler_path, handler_name = sys.argv[1], sys.argv[2]
+    payload = json.loads(sys.stdin.read())
+
+    stdout = sys.stdout
+    sys.stdout = sys.stderr
+
+    sys.path.insert(0, os.path.dirname(handler_path))
+
+    try:
+        module = __import__(os.path.basename(handler_path))
+        handler = getattr(module, handler_name)
+        output = json.dumps({'result': handler(payload['event'], LambdaContext(payload['context']))})
+    except Exception as err:
+        exc_type, exc_value, exc_traceback = sys.exc_info()
+        output = json.dumps({
+            'errorMessage': str(err),
+            'errorType': exc_type.__name__,
+            'stackTrace': format_stack_trace(exc_type, exc_value, exc_traceback),
+        })
+
+    stdout.write(output)
+    stdout.flush()
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,34 @@
+'use strict';
+
+const Velocity = require('velocityjs');
+
+const debugLog = require('./debugLog');
+
+/*
+  Renders a template as one document, just like APIG, and returns the raw output
+  Serverless deploys template objects as JSON, with $input.json() calls unquoted: we do the same
+  Java numbers (see parseApigJson) are rendered like Java does
+*/
+module.exports = function renderVelocityTemplate(template, context) {
+
+  // $input.json('$.a') or $input.json("$.a"), its double quotes are escaped in the JSON document
+  const document = typeof template === 'string' ? template :
+    JSON.stringify(template).replace(/"\$input\.json\((?:'[^']*'|\\"[^"\\]*\\")\)"/g, match => JSON.parse(match));
+
+  debugLog('Velocity document:', document);
+
+  // { escape: false } --> otherwise would escape &, < and > chars with html (&amp;, &lt; and &gt;)
+  const compile = new Velocity.Compile(Velocity.parse(document), { escape: false });
+  const format = compile.format;
+
+  compile.format = function formatJavaNumbers(value) {
+    return value instanceof Number && value.javaString ? value.javaString : format.call(this, value);
+  };
+
+  // render(context, null, true) --> null: no custom macros; true: silent mode, just like APIG
+  const renderResult = compile.render(context, null, true);
+
+  debugLog('Velocity rendered:', renderResult);
+
+  return renderResult;
+};
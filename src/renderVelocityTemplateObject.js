@@ -1,20 +1,26 @@
 'use strict';
 
+const crypto = require('crypto');
+const _ = require('lodash');
 const Velocity = require('velocityjs');
 const isPlainObject = require('lodash.isplainobject');
 
 const debugLog = require('./debugLog');
+const renderVelocityTemplate = require('./renderVelocityTemplate');
 
 const Compile = Velocity.Compile;
 const parse = Velocity.parse;
 
 /* 
-  Deeply traverses a Serverless-style JSON (Velocity) template
-  When it finds a string, assumes it's Velocity language and renders it.
+  Renders a Serverless-style JSON (Velocity) template
+  Like APIG, the template is rendered as one document: #set, #foreach and #macro can span several values
+  Each string value is then parsed on its own, we want JavaScript types
+  With options.strictVelocity, the output is parsed once as a whole, like APIG
 */
-module.exports = function renderVelocityTemplateObject(templateObject, context) {
+module.exports = function renderVelocityTemplateObject(templateObject, context, options) {
+  
+  if (options && options.strictVelocity) return renderStrictly(templateObject, context);
   
-  const result = {};
   let toProcess = templateObject;
   
   // In some projects, the template object is a string, let us see if it's JSON
@@ -22,33 +28,88 @@ module.exports = function renderVelocityTemplateObject(templateObject, context)
   
   // Let's check again
   if (isPlainObject(toProcess)) {
-    for (let key in toProcess) {
-      
-      const value = toProcess[key];
-      debugLog('Processing key:', key, '- value:', value);
-      
-      if (typeof value === 'string') result[key] = renderVelocityString(value, context);
-      
-      // Go deeper
-      else if (isPlainObject(value)) result[key] = renderVelocityTemplateObject(value, context);
-        
-      // This should never happen: value should either be a string or a plain object
-      else result[key] = value;
-    }
+    
+    // The document is made of the template's string values, each one surrounded with its markers
+    // Random ones: the rendered values, and the request data in them, cannot contain them
+    const marker = `\uE000${crypto.randomBytes(16).toString('hex')}\uE000`;
+    const paths = getStringPaths(toProcess, []);
+    const document = paths.map((path, i) => `${marker}${i}${marker}${_.get(toProcess, path)}${marker}/${marker}`).join('');
+    const renderResults = splitRenderResult(renderVelocityString(document, context), marker, paths.length);
+    const result = _.cloneDeep(toProcess);
+    
+    paths.forEach((path, i) => {
+      debugLog('Processing key:', path.join('.'), '- rendered:', renderResults[i]);
+      _.set(result, path, parseRenderResult(renderResults[i]));
+    });
+    
+    return result;
   }
   
   // Still a string? Maybe it's some complex Velocity stuff
-  else if (typeof toProcess === 'string') {
+  if (typeof toProcess === 'string') {
     
     // If the plugin threw here then you should consider reviewing your template or posting an issue.
     const alternativeResult = tryToParseJSON(renderVelocityString(toProcess, context));
     
-    return isPlainObject(alternativeResult) ? alternativeResult : result;
+    return typeof alternativeResult === 'string' ? {} : alternativeResult;
   }
   
-  return result;
+  return {};
 };
 
+// Deeply lists the paths of a template's string values, values should either be strings or plain objects
+function getStringPaths(templateObject, parentPath) {
+  
+  let paths = [];
+  
+  for (let key in templateObject) {
+    const value = templateObject[key];
+    const path = parentPath.concat(key);
+    
+    if (typeof value === 'string') paths.push(path);
+    
+    // Go deeper
+    else if (isPlainObject(value)) paths = paths.concat(getStringPaths(value, path));
+  }
+  
+  return paths;
+}
+
+// A #foreach spanning several values renders them several times: their outputs are joined
+function splitRenderResult(renderResult, marker, length) {
+  
+  const results = [];
+  const parts = renderResult.split(marker);
+  let current = null; // The index of the value being rendered, if any
+  
+  // parts: text, index, text, "/", text, index, ...
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 0) {
+      if (current !== null) results[current] = (results[current] || '') + parts[i];
+    }
+    else current = parts[i] === '/' ? null : Number(parts[i]);
+  }
+  
+  // Values that were not rendered at all (#if) are undefined
+  for (let i = 0; i < length; i++) {
+    if (results[i] === undefined) results[i] = 'undefined';
+  }
+  
+  return results;
+}
+
+function renderStrictly(template, context) {
+  
+  const renderResult = renderVelocityTemplate(template, context);
+  
+  try {
+    return JSON.parse(renderResult);
+  }
+  catch (err) {
+    throw new Error(`The rendered template is not valid JSON (${err.message}): ${renderResult}`);
+  }
+}
+
 function renderVelocityString(velocityString, context) {
   
   // This line can throw, but this function does not handle errors
@@ -59,6 +120,11 @@ function renderVelocityString(velocityString, context) {
   
   debugLog('Velocity rendered:', renderResult || 'undefined');
   
+  return renderResult;
+}
+
+function parseRenderResult(renderResult) {
+  
   // Haaaa Velocity... this language does love strings a lot
   switch (renderResult) {
     
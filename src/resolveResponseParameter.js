@@ -0,0 +1,38 @@
+'use strict';
+
+const _ = require('lodash');
+const jsonPath = require('./jsonPath');
+
+/*
+  Returns the value of a (valid) responseParameter's mapping expression as APIG would: a string
+  Returns undefined when the value is missing, the header is then not set
+  sources: { body, headers, context, stageVariables }
+*/
+module.exports = function resolveResponseParameter(expression, sources) {
+
+  if (expression.startsWith('\'')) return expression.slice(1, -1);
+
+  const parts = expression.split('.');
+
+  if (parts[0] === 'context') return toString(_.get(sources.context, parts.slice(1)));
+  if (parts[0] === 'stageVariables') return toString((sources.stageVariables || {})[parts[1]]);
+
+  if (parts[2] === 'header') {
+    const headerName = parts[3].toLowerCase();
+    const headers = sources.headers || {};
+
+    return toString(headers[Object.keys(headers).filter(key => key.toLowerCase() === headerName)[0]]);
+  }
+
+  // The integration response body is JSON
+  if (parts.length === 3) return JSON.stringify(sources.body);
+
+  return toString(jsonPath(sources.body, '$.' + expression.slice('integration.response.body.'.length)));
+};
+
+// Strings are not quoted, other values are JSON
+function toString(value) {
+  if (value === undefined || value === null) return;
+
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
@@ -0,0 +1,25 @@
+'use strict';
+
+const isPlainObject = require('lodash.isplainobject');
+
+/*
+  Serializes an object as XML elements, for the responses of AWS's query APIs (SNS, SQS)
+  Arrays repeat their element: { Message: [a, b] } --> <Message>a</Message><Message>b</Message>
+*/
+module.exports = function toXml(object) {
+
+  return Object.keys(object).map(key => [].concat(object[key])
+    .filter(value => value !== undefined && value !== null)
+    .map(value => `<${key}>${isPlainObject(value) ? toXml(value) : escapeXml(value)}</${key}>`)
+    .join('')
+  ).join('');
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
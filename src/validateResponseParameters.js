@@ -0,0 +1,38 @@
+'use strict';
+
+const isPlainObject = require('lodash.isplainobject');
+
+// The mapping expressions APIG accepts as method response headers' values
+const valuePatterns = [
+  /^'.*'$/,                                   // A static value, enclosed in single quotes
+  /^integration\.response\.header\.[^.\s]+$/,
+  /^integration\.response\.body(\..+)?$/,     // The whole body, or a JSONPath expression
+  /^context\.[^\s]+$/,
+  /^stageVariables\.[^.\s]+$/,
+];
+
+/*
+  Returns the errors APIG would raise at deployment for a response's responseParameters
+  http://docs.aws.amazon.com/apigateway/latest/developerguide/request-response-data-mappings.html#mapping-response-parameters
+*/
+module.exports = function validateResponseParameters(responseParameters) {
+
+  if (responseParameters === undefined) return [];
+  if (!isPlainObject(responseParameters)) return ['responseParameters must be an object'];
+
+  const errors = [];
+
+  Object.keys(responseParameters).forEach(key => {
+    const value = responseParameters[key];
+
+    if (!/^method\.response\.header\.[^.\s]+$/.test(key)) {
+      errors.push(`Invalid mapping expression specified: "${key}". Only "method.response.header.NAME" can be mapped`);
+    }
+
+    if (typeof value !== 'string' || !valuePatterns.some(pattern => pattern.test(value))) {
+      errors.push(`Invalid mapping expression specified: "${value}" for "${key}". Static values must be enclosed in single quotes`);
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('assert');
+
+const createQueue = require('../src/createQueue');
+
+describe('createQueue', () => {
+
+  it('hides received messages until their visibility timeout expires', () => {
+    const queue = createQueue('q', { visibilityTimeout: 30 });
+    const message = queue.send('hello');
+
+    assert.strictEqual(message.md5OfBody, '5d41402abc4b2a76b9719d911017c592');
+    assert.deepStrictEqual(queue.receive(10), [message]);
+    assert.deepStrictEqual(queue.receive(10), []);
+    assert.strictEqual(queue.receive(10, 0).length, 0); // Still invisible
+  });
+
+  it('deletes messages by receipt handle', () => {
+    const queue = createQueue('q', { visibilityTimeout: 0 });
+
+    queue.send('hello');
+
+    const receiptHandle = queue.receive(1)[0].receiptHandle;
+
+    assert.strictEqual(queue.delete(receiptHandle), true);
+    assert.strictEqual(queue.delete(receiptHandle), false);
+    assert.strictEqual(queue.delete('unknown'), false);
+    assert.deepStrictEqual(queue.list(), []);
+  });
+
+  describe('redrive', () => {
+
+    const createQueues = () => {
+      const redriven = [];
+      const deadLetterQueue = createQueue('dlq', { visibilityTimeout: 0 });
+      const queue = createQueue('q', { visibilityTimeout: 0, maxReceiveCount: 2, deadLetterQueue }, message => redriven.push(message));
+
+      return { queue, deadLetterQueue, redriven };
+    };
+
+    it('moves messages received maxReceiveCount times to the dead-letter queue', () => {
+      const queues = createQueues();
+      const message = queues.queue.send('hello');
+
+      assert.strictEqual(queues.queue.receive(10).length, 1);
+      assert.strictEqual(queues.queue.receive(10).length, 1);
+      assert.deepStrictEqual(queues.queue.receive(10), []);
+
+      assert.deepStrictEqual(queues.queue.list(), []);
+      assert.deepStrictEqual(queues.deadLetterQueue.list(), [message]);
+      assert.deepStrictEqual(queues.redriven, [message]);
+      assert.strictEqual(message.receiptHandle, null);
+    });
+
+    it('keeps redriven messages receivable from the dead-letter queue', () => {
+      const queues = createQueues();
+
+      queues.queue.send('hello');
+      queues.queue.receive(10);
+      queues.queue.receive(10);
+      queues.queue.receive(10);
+
+      const received = queues.deadLetterQueue.receive(10);
+
+      assert.strictEqual(received.length, 1);
+      assert.strictEqual(received[0].body, 'hello');
+      assert.strictEqual(queues.deadLetterQueue.delete(received[0].receiptHandle), true);
+      assert.deepStrictEqual(queues.deadLetterQueue.list(), []);
+    });
+
+    it('does not redrive messages received less often, or without a dead-letter queue', () => {
+      const queues = createQueues();
+      const queue = createQueue('q', { visibilityTimeout: 0, maxReceiveCount: 1 });
+
+      queues.queue.send('hello');
+      queues.queue.receive(10);
+      queue.send('hello');
+      queue.receive(10);
+
+      assert.strictEqual(queues.queue.receive(10).length, 1);
+      assert.strictEqual(queue.receive(10).length, 1);
+      assert.deepStrictEqual(queues.redriven, []);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const createWorkerPool = require('../src/createWorkerPool');
+
+describe('createWorkerPool', function () {
+
+  this.timeout(10000);
+
+  const handlerPath = path.join(__dirname, 'support', 'envHandler');
+  let pool;
+
+  beforeEach(() => {
+    pool = createWorkerPool({ PATH: process.env.PATH, IS_OFFLINE: 'true' });
+  });
+
+  afterEach(() => pool.close());
+
+  const invoke = (funName, env, event) => new Promise((resolve, reject) => {
+    pool.invoke(funName, env, { fun: { name: funName, timeout: 6 }, event, handlerPath, handlerName: 'handler' }, (err, data) => {
+      if (err) return reject(err);
+      resolve(data);
+    });
+  });
+
+  it('gives each function its own env vars, not the plugin process ones', () => {
+
+    // Like an in-process handler of 'a' holding process.env while 'b' runs
+    process.env.FOO = 'from-a';
+
+    const names = ['FOO', 'BAR', 'IS_OFFLINE'];
+
+    return Promise.all([
+      invoke('a', { FOO: 'from-a' }, { names, delay: 200 }),
+      invoke('b', { BAR: 'from-b' }, { names }),
+    ])
+      .then(results => {
+        assert.deepStrictEqual(results, [['from-a', null, 'true'], [null, 'from-b', 'true']]);
+
+        // Reused processes keep their own env vars
+        return invoke('b', { BAR: 'from-b' }, { names });
+      })
+      .then(result => assert.deepStrictEqual(result, [null, 'from-b', 'true']))
+      .then(() => delete process.env.FOO, err => {
+        delete process.env.FOO;
+        throw err;
+      });
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('assert');
+
+const evaluateAuthorizerPolicy = require('../src/evaluateAuthorizerPolicy');
+
+describe('evaluateAuthorizerPolicy', () => {
+
+  const methodArn = 'arn:aws:execute-api:us-east-1:123456789012:abcdef/dev/GET/items/1';
+  const policy = statements => ({ Version: '2012-10-17', Statement: statements });
+  const statement = (Effect, Resource, Action) => ({ Effect, Resource, Action: Action || 'execute-api:Invoke' });
+
+  it('allows the methods of Allow statements', () => {
+    assert.strictEqual(evaluateAuthorizerPolicy(policy([statement('Allow', methodArn)]), methodArn), true);
+    assert.strictEqual(evaluateAuthorizerPolicy(policy(statement('Allow', [methodArn], ['execute-api:*'])), methodArn), true);
+  });
+
+  it('denies methods no statement allows', () => {
+    assert.strictEqual(evaluateAuthorizerPolicy(policy([statement('Allow', methodArn.replace('GET', 'POST'))]), methodArn), false);
+    assert.strictEqual(evaluateAuthorizerPolicy(policy([statement('Allow', methodArn, 's3:GetObject')]), methodArn), false);
+  });
+
+  it('matches IAM wildcards', () => {
+    assert.strictEqual(evaluateAuthorizerPolicy(policy([statement('Allow', 'arn:aws:execute-api:us-east-1:123456789012:abcdef/dev/*')]), methodArn), true);
+    assert.strictEqual(evaluateAuthorizerPolicy(policy([statement('Allow', 'arn:aws:execute-api:*:*:abcdef/dev/GET/items/?')]), methodArn), true);
+    assert.strictEqual(evaluateAuthorizerPolicy(policy([statement('Allow', 'arn:aws:execute-api:us-east-1:123456789012:abcdef/prod/*')]), methodArn), false);
+    assert.strictEqual(evaluateAuthorizerPolicy(policy([statement('Allow', '*', '*')]), methodArn), true);
+  });
+
+  it('lets an explicit Deny win over any Allow', () => {
+    const statements = [statement('Allow', '*'), statement('Deny', 'arn:aws:execute-api:*:*:abcdef/dev/GET/*')];
+
+    assert.strictEqual(evaluateAuthorizerPolicy(policy(statements), methodArn), false);
+    assert.strictEqual(evaluateAuthorizerPolicy(policy(statements), methodArn.replace('GET', 'POST')), true);
+  });
+
+  it('throws on malformed policies', () => {
+    assert.throws(() => evaluateAuthorizerPolicy(undefined, methodArn), /Missing policyDocument/);
+    assert.throws(() => evaluateAuthorizerPolicy(policy([]), methodArn), /no Statement/);
+    assert.throws(() => evaluateAuthorizerPolicy(policy([statement('allow', methodArn)]), methodArn), /Invalid statement Effect: allow/);
+  });
+});
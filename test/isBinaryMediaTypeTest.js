@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('assert');
+
+const isBinaryMediaType = require('../src/isBinaryMediaType');
+
+describe('isBinaryMediaType', () => {
+
+  const binaryMediaTypes = ['image/*', 'application/octet-stream'];
+
+  it('is false without a media type or binary media types', () => {
+    assert.strictEqual(isBinaryMediaType(undefined, binaryMediaTypes), false);
+    assert.strictEqual(isBinaryMediaType('image/png', undefined), false);
+    assert.strictEqual(isBinaryMediaType('image/png', []), false);
+  });
+
+  it('matches Content-Types, wildcards and parameters included', () => {
+    assert.strictEqual(isBinaryMediaType('image/png', binaryMediaTypes), true);
+    assert.strictEqual(isBinaryMediaType('Application/Octet-Stream; charset=binary', binaryMediaTypes), true);
+    assert.strictEqual(isBinaryMediaType('application/json', binaryMediaTypes), false);
+    assert.strictEqual(isBinaryMediaType('text/html', ['*/*']), true);
+  });
+
+  it('only looks at the first media range of an Accept header', () => {
+    assert.strictEqual(isBinaryMediaType('image/webp,image/*;q=0.8', binaryMediaTypes), true);
+    assert.strictEqual(isBinaryMediaType('text/html, image/png', binaryMediaTypes), false);
+    assert.strictEqual(isBinaryMediaType('*/*', binaryMediaTypes), false);
+  });
+});
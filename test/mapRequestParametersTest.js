@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+
+const createRequest = require('./support/createRequest');
+const createVelocityContext = require('../src/createVelocityContext');
+const mapRequestParameters = require('../src/mapRequestParameters');
+
+describe('mapRequestParameters', () => {
+
+  const options = { stage: 'dev', prefix: '/', stageVariables: { name: 'offline' }, binaryMediaTypes: [] };
+  const requestParameters = {
+    'method.request.querystring.page': true,
+    'integration.request.header.X-Page': 'method.request.querystring.page',
+    'integration.request.querystring.source': '\'offline\'',
+    'integration.request.querystring.stage': 'context.stage',
+    'integration.request.path.id': 'stageVariables.name',
+    'integration.request.header.X-Missing': 'method.request.header.X-Missing',
+  };
+
+  const createMappedRequest = () => {
+    const request = createRequest({ path: '/items/1', resource: '/items/{id}', params: { id: '1' }, query: { page: '2' }, headers: { 'X-Page': '1' } });
+    const context = createVelocityContext(request, options, {}).context;
+
+    request.plugins['serverless-offline'] = {
+      integrationParameters: mapRequestParameters(request, requestParameters, { context, stageVariables: options.stageVariables }),
+    };
+
+    return request;
+  };
+
+  it('maps static values, method request parameters, context and stage variables', () => {
+    const request = createRequest({ query: { page: '2' } });
+
+    assert.deepStrictEqual(mapRequestParameters(request, requestParameters, { context: { stage: 'dev' }, stageVariables: { name: 'offline' } }), {
+      header: { 'X-Page': '2' },
+      querystring: { source: 'offline', stage: 'dev' },
+      path: { id: 'offline' },
+    });
+  });
+
+  it('gives the mapped values to request templates, over the request ones', () => {
+    const params = createVelocityContext(createMappedRequest(), options, {}).input.params;
+
+    assert.strictEqual(params('x-page'), '2');
+    assert.strictEqual(params('source'), 'offline');
+    assert.strictEqual(params('id'), 'offline');
+    assert.deepStrictEqual(params().querystring, { page: '2', source: 'offline', stage: 'dev' });
+  });
+
+  it('leaves the request as is', () => {
+    const request = createMappedRequest();
+
+    assert.deepStrictEqual(request.headers, { 'x-page': '1' });
+    assert.deepStrictEqual(request.query, { page: '2' });
+    assert.deepStrictEqual(request.params, { id: '1' });
+  });
+});
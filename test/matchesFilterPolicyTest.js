@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+
+const matchesFilterPolicy = require('../src/matchesFilterPolicy');
+
+describe('matchesFilterPolicy', () => {
+
+  const attributes = {
+    store: { Type: 'String', Value: 'example_corporation' },
+    event: { Type: 'String', Value: 'order_placed' },
+    price: { Type: 'Number', Value: '210.75' },
+    customers: { Type: 'String.Array', Value: '["gold", "silver"]' },
+    image: { Type: 'Binary', Value: 'aGk=' },
+  };
+
+  it('matches every message without a filter policy', () => {
+    assert.strictEqual(matchesFilterPolicy(undefined, {}), true);
+  });
+
+  it('requires every attribute of the policy to match one of its values', () => {
+    assert.strictEqual(matchesFilterPolicy({ store: ['example_corporation'], event: ['order_placed', 'order_cancelled'] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ store: ['example_corporation'], event: ['order_cancelled'] }, attributes), false);
+    assert.strictEqual(matchesFilterPolicy({ missing: ['x'] }, attributes), false);
+  });
+
+  it('matches numbers, prefixes and anything-but', () => {
+    assert.strictEqual(matchesFilterPolicy({ price: [210.75] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ price: [{ numeric: ['>=', 100, '<', 300] }] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ price: [{ numeric: ['>', 300] }] }, attributes), false);
+    assert.strictEqual(matchesFilterPolicy({ store: [{ numeric: ['>', 0] }] }, attributes), false);
+    assert.strictEqual(matchesFilterPolicy({ store: [{ prefix: 'example_' }] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ event: [{ 'anything-but': ['order_cancelled'] }] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ event: [{ 'anything-but': 'order_placed' }] }, attributes), false);
+  });
+
+  it('matches String.Array attributes when one of their values does', () => {
+    assert.strictEqual(matchesFilterPolicy({ customers: ['silver'] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ customers: ['bronze'] }, attributes), false);
+  });
+
+  it('never matches binary attributes', () => {
+    assert.strictEqual(matchesFilterPolicy({ image: ['aGk='] }, attributes), false);
+  });
+
+  it('matches the existence of attributes', () => {
+    assert.strictEqual(matchesFilterPolicy({ store: [{ exists: true }] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ coupon: [{ exists: false }] }, attributes), true);
+    assert.strictEqual(matchesFilterPolicy({ store: [{ exists: false }] }, attributes), false);
+  });
+});
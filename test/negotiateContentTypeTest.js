@@ -0,0 +1,37 @@
+'use strict';
+
+const assert = require('assert');
+
+const negotiateContentType = require('../src/negotiateContentType');
+
+describe('negotiateContentType', () => {
+
+  const contentTypes = ['text/html', 'application/json', 'application/xml'];
+
+  it('returns nothing without content types', () => {
+    assert.strictEqual(negotiateContentType('application/json', []), undefined);
+  });
+
+  it('falls back to application/json, then to the first content type', () => {
+    assert.strictEqual(negotiateContentType(undefined, contentTypes), 'application/json');
+    assert.strictEqual(negotiateContentType('image/png', contentTypes), 'application/json');
+    assert.strictEqual(negotiateContentType('*/*', contentTypes), 'application/json');
+    assert.strictEqual(negotiateContentType(undefined, ['text/html', 'application/xml']), 'text/html');
+  });
+
+  it('matches media types case-insensitively, ignoring parameters', () => {
+    assert.strictEqual(negotiateContentType('Application/XML', contentTypes), 'application/xml');
+    assert.strictEqual(negotiateContentType('text/html', ['text/html; charset=utf-8']), 'text/html; charset=utf-8');
+  });
+
+  it('prefers higher qualities, then more specific ranges, then the first listed', () => {
+    assert.strictEqual(negotiateContentType('text/html;q=0.5, application/xml', contentTypes), 'application/xml');
+    assert.strictEqual(negotiateContentType('text/*, text/html', ['text/plain', 'text/html']), 'text/html');
+    assert.strictEqual(negotiateContentType('application/xml, text/html', contentTypes), 'application/xml');
+    assert.strictEqual(negotiateContentType('text/*', contentTypes), 'text/html');
+  });
+
+  it('ignores media ranges of quality 0', () => {
+    assert.strictEqual(negotiateContentType('application/xml;q=0, text/html;q=0.1', contentTypes), 'text/html');
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('assert');
+
+const parseApigJson = require('../src/parseApigJson');
+
+describe('parseApigJson', () => {
+
+  const javaString = text => parseApigJson(text).javaString;
+
+  it('renders decimals like Java doubles', () => {
+    assert.strictEqual(javaString('1.0'), '1.0');
+    assert.strictEqual(javaString('2.50'), '2.5');
+    assert.strictEqual(javaString('-0.0'), '-0.0');
+    assert.strictEqual(javaString('1e3'), '1000.0');
+    assert.strictEqual(javaString('0.001'), '0.001');
+    assert.strictEqual(javaString('0.0001'), '1.0E-4');
+    assert.strictEqual(javaString('12345678.9'), '1.23456789E7');
+    assert.strictEqual(javaString('1e400'), 'Infinity');
+  });
+
+  it('keeps the digits of integers JavaScript cannot hold', () => {
+    assert.strictEqual(javaString('12345678901234567890'), '12345678901234567890');
+    assert.strictEqual(javaString('-9007199254740993'), '-9007199254740993');
+  });
+
+  it('returns plain values otherwise', () => {
+    assert.deepStrictEqual(parseApigJson('{"a": [1, -2, "3.0", true, null], "1.5": "x"}'), { a: [1, -2, '3.0', true, null], '1.5': 'x' });
+  });
+
+  it('returns numbers that compute like numbers', () => {
+    const parsed = parseApigJson('{"a": 1.5, "b": [2.0]}');
+
+    assert.strictEqual(parsed.a + 1, 2.5);
+    assert.strictEqual(parsed.b[0] * 2, 4);
+    assert.deepStrictEqual(Object.keys(parsed.a), []);
+  });
+
+  it('throws on invalid JSON', () => {
+    assert.throws(() => parseApigJson('{"a": 1.0'), SyntaxError);
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('assert');
+
+const parseScheduleExpression = require('../src/parseScheduleExpression');
+
+describe('parseScheduleExpression', () => {
+
+  const getNextEvent = (expression, date) => {
+    const time = parseScheduleExpression(expression)(Date.parse(date));
+
+    return time === Infinity ? time : new Date(time).toISOString();
+  };
+
+  it('parses rates', () => {
+    assert.strictEqual(getNextEvent('rate(1 minute)', '2017-01-06T12:00:30.000Z'), '2017-01-06T12:01:30.000Z');
+    assert.strictEqual(getNextEvent('rate(5 minutes)', '2017-01-06T12:00:00.000Z'), '2017-01-06T12:05:00.000Z');
+    assert.strictEqual(getNextEvent('rate(2 hours)', '2017-01-06T12:00:00.000Z'), '2017-01-06T14:00:00.000Z');
+    assert.strictEqual(getNextEvent(' rate(1 day) ', '2017-01-06T12:00:00.000Z'), '2017-01-07T12:00:00.000Z');
+  });
+
+  it('gives the next cron event strictly after the given time', () => {
+    assert.strictEqual(getNextEvent('cron(0 12 ? * MON-FRI *)', '2017-01-06T12:00:00.000Z'), '2017-01-09T12:00:00.000Z');
+    assert.strictEqual(getNextEvent('cron(0 12 ? * MON-FRI *)', '2017-01-06T11:59:59.000Z'), '2017-01-06T12:00:00.000Z');
+    assert.strictEqual(getNextEvent('cron(0/15 * * * ? *)', '2017-01-06T10:07:30.000Z'), '2017-01-06T10:15:00.000Z');
+    assert.strictEqual(getNextEvent('cron(30 9,18 * JAN,MAR ? *)', '2017-01-31T20:00:00.000Z'), '2017-03-01T09:30:00.000Z');
+  });
+
+  it('numbers the days of the week from 1 (Sunday)', () => {
+    assert.strictEqual(getNextEvent('cron(0 8 ? * 1 *)', '2017-01-02T00:00:00.000Z'), '2017-01-08T08:00:00.000Z');
+    assert.strictEqual(getNextEvent('cron(0 8 ? * L *)', '2017-01-02T00:00:00.000Z'), '2017-01-07T08:00:00.000Z');
+  });
+
+  it('supports L, W and # days', () => {
+    assert.strictEqual(getNextEvent('cron(0 10 L * ? *)', '2017-02-01T00:00:00.000Z'), '2017-02-28T10:00:00.000Z');
+    assert.strictEqual(getNextEvent('cron(0 10 15W * ? *)', '2017-01-01T00:00:00.000Z'), '2017-01-16T10:00:00.000Z');
+    assert.strictEqual(getNextEvent('cron(0 10 LW * ? *)', '2017-09-01T00:00:00.000Z'), '2017-09-29T10:00:00.000Z');
+    assert.strictEqual(getNextEvent('cron(0 10 ? * 6#3 *)', '2017-01-01T00:00:00.000Z'), '2017-01-20T10:00:00.000Z');
+    assert.strictEqual(getNextEvent('cron(0 10 ? * FRIL *)', '2017-01-01T00:00:00.000Z'), '2017-01-27T10:00:00.000Z');
+  });
+
+  it('returns Infinity once the schedule is over', () => {
+    assert.strictEqual(getNextEvent('cron(0 0 1 1 ? 2017)', '2017-01-01T00:00:00.000Z'), Infinity);
+    assert.strictEqual(getNextEvent('cron(0 0 1 1 ? 2017-2018)', '2017-01-01T00:00:00.000Z'), '2018-01-01T00:00:00.000Z');
+  });
+
+  it('throws on invalid expressions', () => {
+    assert.throws(() => parseScheduleExpression('every 5 minutes'), /rate\(\.\.\.\) or cron\(\.\.\.\) expected/);
+    assert.throws(() => parseScheduleExpression('rate(0 minutes)'), /positive number/);
+    assert.throws(() => parseScheduleExpression('rate(5 weeks)'), /positive number/);
+    assert.throws(() => parseScheduleExpression('cron(0 12 * *)'), /6 fields expected/);
+    assert.throws(() => parseScheduleExpression('cron(0 12 * * MON *)'), /must be "\?"/);
+    assert.throws(() => parseScheduleExpression('cron(60 12 * * ? *)'), /invalid value "60"/);
+    assert.throws(() => parseScheduleExpression('cron(0 12 * * ? 2017-2016)'), /invalid range/);
+  });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const assert = require('assert');
+
+const createRequest = require('./support/createRequest');
+const createVelocityContext = require('../src/createVelocityContext');
+const renderVelocityTemplate = require('../src/renderVelocityTemplate');
+
+describe('renderVelocityTemplate', () => {
+
+  const options = { stage: 'dev', prefix: '/', stageVariables: {}, binaryMediaTypes: [], strictVelocity: true };
+  const request = createRequest({ method: 'POST', path: '/items', body: '{"price": 1.0, "tags": ["a"], "big": 12345678901234567890}' });
+  const render = template => renderVelocityTemplate(template, createVelocityContext(request, options, {}));
+
+  it('renders Java numbers like Java', () => {
+    assert.strictEqual(render('$input.path(\'$.price\') $input.path(\'$\')'), '1.0 {price=1.0, tags=[a], big=12345678901234567890}');
+  });
+
+  it('serializes Java numbers in $input.json', () => {
+    assert.strictEqual(render('$input.json(\'$\')'), '{"price":1.0,"tags":["a"],"big":12345678901234567890}');
+  });
+
+  it('computes with Java numbers', () => {
+    assert.strictEqual(render('#if($input.path(\'$.price\') == 1)equal #end#set($x = $input.path(\'$.price\') + 1)$x'), 'equal 2');
+  });
+
+  it('unquotes $input.json calls with single or double quotes in template objects', () => {
+    assert.strictEqual(render({ a: '$input.json(\'$.tags\')', b: '$input.json("$.tags")' }), '{"a":["a"],"b":["a"]}');
+  });
+});
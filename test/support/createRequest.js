@@ -0,0 +1,35 @@
+'use strict';
+
+/*
+  Returns the parts of a Hapi request the plugin reads, from a plain description:
+  { method, resource, path, headers, query, params, body } (body: a string, or any JSON)
+*/
+module.exports = function createRequest(description) {
+
+  const headers = {};
+  const rawHeaders = [];
+  const body = description.body === undefined || typeof description.body === 'string' ? description.body : JSON.stringify(description.body);
+
+  Object.keys(description.headers || {}).forEach(name => {
+    headers[name.toLowerCase()] = description.headers[name];
+    rawHeaders.push(name, description.headers[name]);
+  });
+
+  return {
+    method: (description.method || 'GET').toLowerCase(),
+    path: description.path || '/',
+    headers,
+    query: Object.assign({}, description.query),
+    params: Object.assign({}, description.params),
+    payload: body === undefined ? null : new Buffer(body, 'utf8'),
+    mime: (headers['content-type'] || 'application/json').split(';')[0],
+    plugins: {},
+    info: {
+      received: 1428582896000,
+      remoteAddress: '127.0.0.1',
+      hostname: 'localhost',
+    },
+    raw: { req: { httpVersion: '1.1', rawHeaders } },
+    route: { path: description.resource || description.path || '/' },
+  };
+};
@@ -0,0 +1,6 @@
+'use strict';
+
+// Replies with the env vars of the event's names, once the event's delay has passed
+module.exports.handler = (event, context, callback) => {
+  setTimeout(() => callback(null, event.names.map(name => process.env[name] || null)), event.delay || 0);
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('assert');
+
+const validateResponseParameters = require('../src/validateResponseParameters');
+
+describe('validateResponseParameters', () => {
+
+  it('accepts the mapping expressions APIG accepts', () => {
+    assert.deepStrictEqual(validateResponseParameters(undefined), []);
+    assert.deepStrictEqual(validateResponseParameters({
+      'method.response.header.X-Static': '\'value\'',
+      'method.response.header.X-Header': 'integration.response.header.X-Upstream',
+      'method.response.header.X-Body': 'integration.response.body',
+      'method.response.header.Location': 'integration.response.body.redirect.url',
+      'method.response.header.X-Request-Id': 'context.requestId',
+      'method.response.header.X-Stage': 'stageVariables.name',
+    }), []);
+  });
+
+  it('rejects anything but an object', () => {
+    assert.deepStrictEqual(validateResponseParameters('method.response.header.X'), ['responseParameters must be an object']);
+  });
+
+  it('rejects keys that are not method response headers', () => {
+    const errors = validateResponseParameters({ 'method.response.body': '\'x\'', 'method.response.header.': '\'x\'' });
+
+    assert.strictEqual(errors.length, 2);
+    assert.ok(errors.every(error => /Only "method\.response\.header\.NAME" can be mapped/.test(error)));
+  });
+
+  it('rejects unquoted static values and unknown expressions', () => {
+    const errors = validateResponseParameters({
+      'method.response.header.X-Unquoted': 'value',
+      'method.response.header.X-Number': 42,
+      'method.response.header.X-Request': 'method.request.header.X',
+    });
+
+    assert.strictEqual(errors.length, 3);
+    assert.strictEqual(errors[0], 'Invalid mapping expression specified: "value" for "method.response.header.X-Unquoted". Static values must be enclosed in single quotes');
+  });
+});
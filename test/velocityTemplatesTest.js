@@ -0,0 +1,53 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const createRequest = require('./support/createRequest');
+const createVelocityContext = require('../src/createVelocityContext');
+const parseRequestPayload = require('../src/parseRequestPayload');
+const renderVelocityTemplateObject = require('../src/renderVelocityTemplateObject');
+
+const fixturesPath = path.join(__dirname, 'velocityTemplates');
+
+/*
+  Golden files: each directory of velocityTemplates holds a request template (template.json or template.vtl),
+  a request (request.json), and the event APIG gives the function (expected.json)
+  The default rendering gives expected.default.json instead, when there is one (see "Velocity nuances")
+*/
+describe('Velocity templates', () => {
+
+  fs.readdirSync(fixturesPath)
+    .filter(name => fs.statSync(path.join(fixturesPath, name)).isDirectory())
+    .forEach(name => {
+
+      const readFile = fileName => {
+        const filePath = path.join(fixturesPath, name, fileName);
+
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : undefined;
+      };
+
+      const readJson = fileName => {
+        const content = readFile(fileName);
+
+        return content === undefined ? undefined : JSON.parse(content);
+      };
+
+      const template = readFile('template.vtl') || readJson('template.json');
+      const expected = readJson('expected.json');
+      const expectedDefault = readJson('expected.default.json') || expected;
+
+      // Like the route handler
+      const render = strictVelocity => {
+        const request = createRequest(readJson('request.json'));
+        const options = { stage: 'dev', prefix: '/', stageVariables: {}, binaryMediaTypes: [], strictVelocity };
+        const payload = parseRequestPayload(request.payload, request.mime, options.binaryMediaTypes);
+
+        return renderVelocityTemplateObject(template, createVelocityContext(request, options, payload || {}), options);
+      };
+
+      it(`renders ${name} like APIG with strictVelocity`, () => assert.deepStrictEqual(render(true), expected));
+      it(`renders ${name} by default`, () => assert.deepStrictEqual(render(false), expectedDefault));
+    });
+});